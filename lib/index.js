@@ -6,7 +6,11 @@
 
 module.exports = {
     configs: {
+        "package-json": require("./configs/package-json.json"),
         recommended: require("./configs/recommended.json"),
     },
+    processors: {
+        "package-json": require("./processors/package-json"),
+    },
     rules: require("./rules.js"),
 }
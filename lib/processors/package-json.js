@@ -0,0 +1,126 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+
+const PREFIX = "("
+const SUFFIX = "\n)"
+
+// The lengths of `package.json` files between `preprocess()` and
+// `postprocess()`.
+const textLengths = new Map()
+
+/**
+ * Checks whether or not a given file is `package.json`.
+ *
+ * @param {string} filename - The path to the file.
+ * @returns {boolean} `true` if the file is `package.json`.
+ */
+function isPackageJson(filename) {
+    return path.basename(filename) === "package.json"
+}
+
+/**
+ * Converts a given fix to the fix for the original `package.json`.
+ * `preprocess()` added `(` at the start of the file.
+ *
+ * @param {object} fix - The fix to convert.
+ * @param {number} textLength - The length of the original text.
+ * @returns {object|null} The converted fix, or `null` if the fix modifies
+ *      the added parentheses.
+ */
+function toOriginalFix(fix, textLength) {
+    const range = fix.range.map(index => index - PREFIX.length)
+    if (range[0] < 0 || range[1] > textLength) {
+        return null
+    }
+    return { range, text: fix.text }
+}
+
+/**
+ * Converts the location and the fixes of a given message to the ones in the
+ * original `package.json`.
+ * `preprocess()` added `(` at the start of the first line.
+ *
+ * @param {object} message - The message to convert.
+ * @param {number} textLength - The length of the original text.
+ * @returns {object} The converted message.
+ */
+function toOriginalMessage(message, textLength) {
+    const retv = Object.assign({}, message)
+    if (retv.line === 1) {
+        retv.column = Math.max(1, retv.column - PREFIX.length)
+    }
+    if (retv.endLine === 1) {
+        retv.endColumn = Math.max(1, retv.endColumn - PREFIX.length)
+    }
+    if (retv.fix != null) {
+        retv.fix = toOriginalFix(retv.fix, textLength)
+        if (retv.fix == null) {
+            delete retv.fix
+        }
+    }
+    if (retv.suggestions != null) {
+        retv.suggestions = retv.suggestions
+            .map(suggestion =>
+                Object.assign({}, suggestion, {
+                    fix: toOriginalFix(suggestion.fix, textLength),
+                })
+            )
+            .filter(suggestion => suggestion.fix != null)
+    }
+    return retv
+}
+
+/**
+ * The processor which lints `package.json` files with the rules of this
+ * plugin.
+ *
+ * This converts `package.json` to a parenthesized object expression, so the
+ * rules can report the problems on the nodes of the JSON properties.
+ * Users opt into this processor by the `processor` setting for
+ * `package.json`. Other files pass through this processor unchanged.
+ */
+module.exports = {
+    /**
+     * Converts a given file to the code to lint.
+     *
+     * @param {string} text - The text of the file.
+     * @param {string} filename - The path to the file.
+     * @returns {string[]} The code blocks to lint.
+     */
+    preprocess(text, filename) {
+        if (!isPackageJson(filename)) {
+            return [text]
+        }
+
+        const body = text.replace(/^\uFEFF/, "")
+        textLengths.set(filename, body.length)
+        return [`${PREFIX}${body}${SUFFIX}`]
+    },
+
+    /**
+     * Converts the messages of the code blocks to the messages of the file.
+     *
+     * @param {Array<object[]>} messages - The messages of each code block.
+     * @param {string} filename - The path to the file.
+     * @returns {object[]} The messages of the file.
+     */
+    postprocess(messages, filename) {
+        const allMessages = [].concat(...messages)
+        const textLength = textLengths.get(filename)
+        if (textLength == null) {
+            return allMessages
+        }
+        textLengths.delete(filename)
+
+        return allMessages.map(message =>
+            toOriginalMessage(message, textLength)
+        )
+    },
+
+    supportsAutofix: true,
+}
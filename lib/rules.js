@@ -6,15 +6,31 @@
 
 module.exports = {
     "exports-style": require("./rules/exports-style"),
+    "file-extension-in-import": require("./rules/file-extension-in-import"),
+    "no-deep-import": require("./rules/no-deep-import"),
+    "no-deep-require": require("./rules/no-deep-require"),
     "no-deprecated-api": require("./rules/no-deprecated-api"),
+    "no-duplicate-dependencies": require("./rules/no-duplicate-dependencies"),
     "no-extraneous-import": require("./rules/no-extraneous-import"),
     "no-extraneous-require": require("./rules/no-extraneous-require"),
     "no-hide-core-modules": require("./rules/no-hide-core-modules"),
+    "no-invalid-engines": require("./rules/no-invalid-engines"),
+    "no-mismatched-dependency-versions": require("./rules/no-mismatched-dependency-versions"),
+    "no-missing-bin": require("./rules/no-missing-bin"),
+    "no-missing-entry-points": require("./rules/no-missing-entry-points"),
     "no-missing-import": require("./rules/no-missing-import"),
+    "no-missing-named-import": require("./rules/no-missing-named-import"),
+    "no-missing-named-require": require("./rules/no-missing-named-require"),
     "no-missing-require": require("./rules/no-missing-require"),
+    "no-mixed-module-systems": require("./rules/no-mixed-module-systems"),
+    "no-require-esm": require("./rules/no-require-esm"),
+    "no-unguarded-optional-dependencies": require("./rules/no-unguarded-optional-dependencies"),
+    "no-unmatched-files": require("./rules/no-unmatched-files"),
     "no-unpublished-bin": require("./rules/no-unpublished-bin"),
     "no-unpublished-import": require("./rules/no-unpublished-import"),
     "no-unpublished-require": require("./rules/no-unpublished-require"),
+    "no-unsupported-cjs-named-import": require("./rules/no-unsupported-cjs-named-import"),
+    "no-unsupported-dependency-engines": require("./rules/no-unsupported-dependency-engines"),
     "no-unsupported-features": require("./rules/no-unsupported-features"),
     "process-exit-as-throw": require("./rules/process-exit-as-throw"),
     shebang: require("./rules/shebang"),
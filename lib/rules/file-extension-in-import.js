@@ -0,0 +1,145 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const exists = require("../util/exists")
+const getImportExportTargets = require("../util/get-import-export-targets")
+const getModuleType = require("../util/get-module-type")
+const getTryExtensions = require("../util/get-try-extensions")
+
+const RELATIVE_OR_ABSOLUTE = /^(?:\.{1,2}(?:[/\\]|$)|[/\\])/
+
+/**
+ * Gets the fully-specified specifiers of the files which a given specifier
+ * can point.
+ * This tries the extensions of `tryExtensions`, and the `index` files if the
+ * specifier can be a directory.
+ *
+ * e.g. `./foo` -> `["./foo.js", "./foo/index.js"]`
+ *
+ * @param {string} name - The specifier.
+ * @param {string} basePath - The path which the specifier points.
+ * @param {string[]} extensions - The extensions to try.
+ * @param {object} preferredExtensions - The map from the extensions of files
+ *      to the extensions to write.
+ * @returns {string[]} The specifiers of the existing files.
+ */
+function getCandidates(name, basePath, extensions, preferredExtensions) {
+    const isDirectory = /(?:^|[/\\])\.{0,2}$/.test(name)
+    const dirName = name.replace(/[/\\]$/, "")
+    const retv = []
+
+    for (const ext of extensions) {
+        const preferredExt = preferredExtensions[ext] || ext
+        if (!isDirectory && exists(`${basePath}${ext}`)) {
+            retv.push(`${name}${preferredExt}`)
+        }
+        if (exists(path.join(basePath, `index${ext}`))) {
+            retv.push(`${dirName}/index${preferredExt}`)
+        }
+    }
+
+    return retv
+}
+
+module.exports = {
+    meta: {
+        docs: {
+            description: "enforce the file extensions of `import` declarations",
+            category: "Possible Errors",
+            recommended: false,
+            url:
+                "https://github.com/mysticatea/eslint-plugin-node/blob/v6.0.1/docs/rules/file-extension-in-import.md",
+        },
+        fixable: "code",
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    tryExtensions: getTryExtensions.schema,
+                    preferredExtensions: {
+                        type: "object",
+                        patternProperties: {
+                            "^\\.": { type: "string", pattern: "^\\." },
+                        },
+                        additionalProperties: false,
+                    },
+                },
+                additionalProperties: false,
+            },
+        ],
+    },
+    create(context) {
+        const filePath = context.getFilename()
+        if (filePath === "<input>" || getModuleType(filePath) !== "module") {
+            return {}
+        }
+        const basedir = path.dirname(path.resolve(filePath))
+        const options = context.options[0] || {}
+        const preferredExtensions = options.preferredExtensions || {}
+
+        /**
+         * Checks whether or not a given import target has the file extension.
+         * @param {ImportTarget} target - The import target to check.
+         * @returns {void}
+         */
+        function verify(target) {
+            const name = target.name
+            const node = target.node
+            if (!RELATIVE_OR_ABSOLUTE.test(name)) {
+                return
+            }
+
+            const basePath = path.resolve(basedir, name)
+            if (!/[/\\]$/.test(name) && exists(basePath)) {
+                return
+            }
+
+            const candidates = getCandidates(
+                name,
+                basePath,
+                getTryExtensions(context),
+                preferredExtensions
+            )
+            if (candidates.length !== 1) {
+                if (candidates.length > 1) {
+                    context.report({
+                        node,
+                        message: '"{{name}}" is not fully specified.',
+                        data: { name },
+                    })
+                }
+                return
+            }
+
+            const specifier = candidates[0]
+            context.report({
+                node,
+                message:
+                    '"{{name}}" is not fully specified. Use "{{specifier}}" instead.',
+                data: { name, specifier },
+                fix:
+                    node.type === "Literal"
+                        ? fixer =>
+                              fixer.replaceText(
+                                  node,
+                                  `${node.raw[0]}${specifier}${node.value.slice(
+                                      name.length
+                                  )}${node.raw[0]}`
+                              )
+                        : null,
+            })
+        }
+
+        return {
+            "Program:exit"(node) {
+                for (const target of getImportExportTargets(context, node)) {
+                    verify(target)
+                }
+            },
+        }
+    },
+}
@@ -0,0 +1,50 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const checkDeepImports = require("../util/check-deep-imports")
+const getAllowSubpaths = require("../util/get-allow-subpaths")
+const getImportExportTargets = require("../util/get-import-export-targets")
+const getResolvePaths = require("../util/get-resolve-paths")
+const getResolver = require("../util/get-resolver")
+const getTypeScriptConfig = require("../util/get-typescript-config")
+
+module.exports = {
+    meta: {
+        docs: {
+            description:
+                "disallow `import` declarations of package internals which are not exposed",
+            category: "Possible Errors",
+            recommended: false,
+            url:
+                "https://github.com/mysticatea/eslint-plugin-node/blob/v6.0.1/docs/rules/no-deep-import.md",
+        },
+        fixable: null,
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    allowSubpaths: getAllowSubpaths.schema,
+                    resolvePaths: getResolvePaths.schema,
+                    resolver: getResolver.schema,
+                    typescript: getTypeScriptConfig.schema,
+                },
+                additionalProperties: false,
+            },
+        ],
+    },
+    create(context) {
+        const filePath = context.getFilename()
+        if (filePath === "<input>") {
+            return {}
+        }
+
+        return {
+            "Program:exit"(node) {
+                checkDeepImports(context, getImportExportTargets(context, node))
+            },
+        }
+    },
+}
@@ -5,6 +5,7 @@
 "use strict"
 
 const { globals, modules } = require("../util/deprecated-apis")
+const getModuleType = require("../util/get-module-type")
 const ReferenceTracer = require("../util/reference-tracer")
 
 const MODULE_ITEMS = listNames(modules)
@@ -157,6 +158,11 @@ module.exports = {
         return {
             "Program:exit"() {
                 const tracer = new ReferenceTracer(context.getScope())
+                // ES modules don't have the `require` variable.
+                const cjsReports =
+                    getModuleType(context.getFilename()) === "module"
+                        ? []
+                        : tracer.iterateCjsReferences(modules)
 
                 for (const report of tracer.iterateGlobalReferences(globals)) {
                     const { node, path, type, entry } = report
@@ -166,7 +172,7 @@ module.exports = {
                         reportItem(node, `'${name}'`, entry)
                     }
                 }
-                for (const report of tracer.iterateCjsReferences(modules)) {
+                for (const report of cjsReports) {
                     const { node, path, type, entry } = report
                     const name = toName(type, path)
                     const suffix = path.length === 1 ? " module" : ""
@@ -0,0 +1,74 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const getJsonProperty = require("../util/get-json-property")
+const getPackageJsonNode = require("../util/get-package-json-node")
+const getPropertyName = require("../util/get-property-name")
+
+/**
+ * Gets the names of the dependencies in a given dependency field.
+ *
+ * @param {ASTNode|null} property - The `Property` node of the field.
+ * @returns {Set<string>} The names of the dependencies.
+ */
+function getNames(property) {
+    if (property == null || property.value.type !== "ObjectExpression") {
+        return new Set()
+    }
+    return new Set(
+        property.value.properties
+            .filter(p => p.type === "Property")
+            .map(getPropertyName)
+            .filter(Boolean)
+    )
+}
+
+module.exports = {
+    meta: {
+        docs: {
+            description:
+                "disallow packages in both `dependencies` and `devDependencies` of 'package.json'",
+            category: "Possible Errors",
+            recommended: false,
+            url:
+                "https://github.com/mysticatea/eslint-plugin-node/blob/v6.0.1/docs/rules/no-duplicate-dependencies.md",
+        },
+        fixable: null,
+        schema: [],
+    },
+    create(context) {
+        return {
+            Program(node) {
+                const root = getPackageJsonNode(context, node)
+                const dependencies = getNames(
+                    getJsonProperty(root, "dependencies")
+                )
+                const devDependencies = getJsonProperty(root, "devDependencies")
+                if (
+                    dependencies.size === 0 ||
+                    devDependencies == null ||
+                    devDependencies.value.type !== "ObjectExpression"
+                ) {
+                    return
+                }
+
+                for (const property of devDependencies.value.properties) {
+                    const name =
+                        property.type === "Property" &&
+                        getPropertyName(property)
+                    if (name && dependencies.has(name)) {
+                        context.report({
+                            node: property.key,
+                            message:
+                                "'{{name}}' is in both 'dependencies' and 'devDependencies' of 'package.json'.",
+                            data: { name },
+                        })
+                    }
+                }
+            },
+        }
+    },
+}
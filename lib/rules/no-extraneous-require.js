@@ -9,6 +9,9 @@ const getAllowModules = require("../util/get-allow-modules")
 const getConvertPath = require("../util/get-convert-path")
 const getRequireTargets = require("../util/get-require-targets")
 const getResolvePaths = require("../util/get-resolve-paths")
+const getResolver = require("../util/get-resolver")
+const getTypeScriptConfig = require("../util/get-typescript-config")
+const getWorkspaceTestFiles = require("../util/get-workspace-test-files")
 
 module.exports = {
     meta: {
@@ -28,6 +31,9 @@ module.exports = {
                     allowModules: getAllowModules.schema,
                     convertPath: getConvertPath.schema,
                     resolvePaths: getResolvePaths.schema,
+                    resolver: getResolver.schema,
+                    typescript: getTypeScriptConfig.schema,
+                    workspaceTestFiles: getWorkspaceTestFiles.schema,
                 },
                 additionalProperties: false,
             },
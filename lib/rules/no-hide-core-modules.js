@@ -11,8 +11,11 @@
 const path = require("path")
 const resolve = require("resolve")
 const getPackageJson = require("../util/get-package-json")
+const getResolvePaths = require("../util/get-resolve-paths")
+const getResolver = require("../util/get-resolver")
 const getRequireTargets = require("../util/get-require-targets")
 const getImportExportTargets = require("../util/get-import-export-targets")
+const getTryExtensions = require("../util/get-try-extensions")
 
 const CORE_MODULES = new Set([
     "assert",
@@ -71,6 +74,7 @@ module.exports = {
                     },
                     ignoreDirectDependencies: { type: "boolean" },
                     ignoreIndirectDependencies: { type: "boolean" },
+                    resolver: getResolver.schema,
                 },
                 additionalProperties: false,
             },
@@ -97,6 +101,50 @@ module.exports = {
         const ignoreIndirectDependencies = Boolean(
             options.ignoreIndirectDependencies
         )
+        const resolver = getResolver(context)
+        const resolveOptions = {
+            basedir: dirPath,
+            extensions: getTryExtensions(context),
+            paths: getResolvePaths(context),
+        }
+
+        /**
+         * Resolves a given name of a core module.
+         *
+         * Import targets resolve core modules first, so this asks the custom
+         * resolver directly with the same options as `ImportTarget`.
+         * If the resolver doesn't resolve the name, this looks for it in
+         * `node_modules` directories. If it's not found there either, the
+         * core module is loaded.
+         *
+         * @param {string} name - The name of the core module.
+         * @param {"import"|"require"} kind - The type of the import target.
+         * @returns {string} The resolved path, or the name itself if it's
+         *      the core module.
+         */
+        function resolveName(name, kind) {
+            if (resolver) {
+                const resolved = resolver.resolve(
+                    name,
+                    Object.assign({ kind }, resolveOptions)
+                )
+                if (typeof resolved === "string") {
+                    return resolved
+                }
+            }
+
+            try {
+                return resolve.sync(
+                    name,
+                    Object.assign(
+                        { includeCoreModules: resolver == null },
+                        resolveOptions
+                    )
+                )
+            } catch (_err) {
+                return name
+            }
+        }
 
         return {
             "Program:exit"(node) {
@@ -105,7 +153,12 @@ module.exports = {
                         getRequireTargets(context, true),
                         getImportExportTargets(context, node, true)
                     )
-                    .filter(t => CORE_MODULES.has(t.moduleName))
+                    // `node:` URL scheme always refers to the core module.
+                    .filter(
+                        t =>
+                            CORE_MODULES.has(t.moduleName) &&
+                            !t.name.startsWith("node:")
+                    )
 
                 for (const target of targets) {
                     const name = target.moduleName
@@ -118,10 +171,8 @@ module.exports = {
                         continue
                     }
 
-                    const resolved = resolve.sync(name, { basedir: dirPath })
-                    const isCore = resolved === name
-
-                    if (isCore) {
+                    const resolved = resolveName(name, target.moduleType)
+                    if (resolved === name) {
                         continue
                     }
 
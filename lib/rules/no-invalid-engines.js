@@ -0,0 +1,56 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const semver = require("semver")
+const getJsonProperty = require("../util/get-json-property")
+const getPackageJsonNode = require("../util/get-package-json-node")
+const getValueIfString = require("../util/get-value-if-string")
+
+module.exports = {
+    meta: {
+        docs: {
+            description:
+                "disallow invalid semver ranges in the `engines.node` field of 'package.json'",
+            category: "Possible Errors",
+            recommended: false,
+            url:
+                "https://github.com/mysticatea/eslint-plugin-node/blob/v6.0.1/docs/rules/no-invalid-engines.md",
+        },
+        fixable: null,
+        schema: [],
+    },
+    create(context) {
+        return {
+            Program(node) {
+                const engines = getJsonProperty(
+                    getPackageJsonNode(context, node),
+                    "engines"
+                )
+                const property =
+                    engines && getJsonProperty(engines.value, "node")
+                if (property == null) {
+                    return
+                }
+
+                const range = getValueIfString(property.value)
+                if (range == null) {
+                    context.report({
+                        node: property.value,
+                        message:
+                            "'engines.node' of 'package.json' must be a string.",
+                    })
+                } else if (semver.validRange(range) == null) {
+                    context.report({
+                        node: property.value,
+                        message:
+                            "'{{range}}' in 'engines.node' of 'package.json' is not a valid semver range.",
+                        data: { range },
+                    })
+                }
+            },
+        }
+    },
+}
@@ -0,0 +1,247 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const semver = require("semver")
+const Cache = require("../util/cache")
+const getAllowModules = require("../util/get-allow-modules")
+const getImportExportTargets = require("../util/get-import-export-targets")
+const getImportOptions = require("../util/get-import-options")
+const getModulePackageJson = require("../util/get-module-package-json")
+const getPackageJson = require("../util/get-package-json")
+const getRequireTargets = require("../util/get-require-targets")
+const getResolvePaths = require("../util/get-resolve-paths")
+const getResolver = require("../util/get-resolver")
+const getTypeScriptConfig = require("../util/get-typescript-config")
+
+const DEPENDENCY_FIELDS = [
+    "dependencies",
+    "optionalDependencies",
+    "devDependencies",
+    "peerDependencies",
+]
+const LOCAL_SPECIFIER = /^(?:(?:file|link):|(?:\.{1,2}|~)?\/)/
+const GIT_SPECIFIER = /^(?:git(?:\+[a-z]+)?:|(?:github|gitlab|bitbucket|gist):|https?:\/\/.+\.git(?:#.*)?$|[^@/:\s]+\/[^/:\s]+$)/
+const NPM_ALIAS = /^npm:(?:@[^/]+\/)?[^@/]+@(.+)$/
+const WORKSPACE_PROTOCOL = /^workspace:(.+)$/
+
+// The file which reports each local or git dependency while linting.
+// The cache disposes of the reporter after linting, so the next lint run
+// reports the dependency again.
+const reporters = new Cache()
+
+/**
+ * Gets the specifier which a given `package.json` declares for a given
+ * package.
+ *
+ * @param {object} packageInfo - The `package.json` data.
+ * @param {string} moduleName - The name of the package.
+ * @returns {string|null} The specifier, or `null` if not declared.
+ */
+function getSpecifier(packageInfo, moduleName) {
+    for (const field of DEPENDENCY_FIELDS) {
+        const dependencies = packageInfo[field]
+        if (
+            dependencies != null &&
+            Object.prototype.hasOwnProperty.call(dependencies, moduleName) &&
+            typeof dependencies[moduleName] === "string"
+        ) {
+            return dependencies[moduleName].trim()
+        }
+    }
+    return null
+}
+
+/**
+ * Parses a given dependency specifier.
+ *
+ * - `"^1.0.0"` -> `{type: "range", range: "^1.0.0"}`
+ * - `"npm:foo@^1.0.0"` -> `{type: "range", range: "^1.0.0"}`
+ * - `"workspace:^1.0.0"` -> `{type: "range", range: "^1.0.0"}`
+ * - `"file:../foo"` -> `{type: "local"}`
+ * - `"github:user/repo"` -> `{type: "git"}`
+ *
+ * Tags (e.g. `"latest"`) and tarball URLs are not checkable, so those are
+ * `null`.
+ *
+ * @param {string} specifier - The specifier to parse.
+ * @returns {object|null} The parsed specifier. `type` is one of `"range"`,
+ *      `"local"`, and `"git"`. `range` exists if the `type` is `"range"`.
+ */
+function parseSpecifier(specifier) {
+    if (LOCAL_SPECIFIER.test(specifier)) {
+        return { type: "local" }
+    }
+    if (GIT_SPECIFIER.test(specifier)) {
+        return { type: "git" }
+    }
+
+    const m = NPM_ALIAS.exec(specifier) || WORKSPACE_PROTOCOL.exec(specifier)
+    const range = m ? m[1] : specifier || "*"
+    if (semver.validRange(range) == null) {
+        return null
+    }
+    return { type: "range", range }
+}
+
+/**
+ * Checks whether or not a given import target is the first import site of
+ * the dependency.
+ * The local and git specifiers are the problems of `package.json`, so those
+ * are reported on only the first import site of the first linted file.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {object} packageInfo - The `package.json` data of the current file.
+ * @param {string} moduleName - The name of the dependency.
+ * @param {Set<string>} reported - The dependencies which the current file
+ *      reported.
+ * @returns {boolean} `true` if the import target is the first import site.
+ */
+function isFirstImportSite(context, packageInfo, moduleName, reported) {
+    const key = `${packageInfo.filePath}\n${moduleName}`
+    const filePath = path.resolve(context.getFilename())
+    const reporter = reporters.get(key)
+    if (
+        reported.has(moduleName) ||
+        (reporter != null && reporter !== filePath)
+    ) {
+        return false
+    }
+
+    reporters.set(key, filePath)
+    reported.add(moduleName)
+    return true
+}
+
+/**
+ * Reports a given import target if the installed package doesn't match the
+ * specifier in `package.json`, or if the specifier is not checkable.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {object} packageInfo - The `package.json` data of the current file.
+ * @param {ImportTarget} target - The import target.
+ * @param {object} options - The options to resolve the package.
+ * @param {Set<string>} reported - The local and git dependencies which the
+ *      current file reported.
+ * @returns {void}
+ */
+function checkVersion(context, packageInfo, target, options, reported) {
+    const node = target.node
+    const moduleName = target.moduleName
+    const specifier = getSpecifier(packageInfo, moduleName)
+    const parsed = specifier != null ? parseSpecifier(specifier) : null
+    if (
+        parsed == null ||
+        (parsed.type !== "range" &&
+            !isFirstImportSite(context, packageInfo, moduleName, reported))
+    ) {
+        return
+    }
+
+    if (parsed.type === "local") {
+        context.report({
+            node,
+            loc: node.loc,
+            message:
+                '"{{moduleName}}" is installed from the local path "{{specifier}}", so its version cannot be checked.',
+            data: { moduleName, specifier },
+        })
+        return
+    }
+    if (parsed.type === "git") {
+        context.report({
+            node,
+            loc: node.loc,
+            message:
+                '"{{moduleName}}" is installed from the git repository "{{specifier}}", so its version cannot be checked.',
+            data: { moduleName, specifier },
+        })
+        return
+    }
+
+    const info = getModulePackageJson(target, options)
+    const version = info && semver.valid(info.version)
+    if (
+        version == null ||
+        semver.satisfies(version, parsed.range, { includePrerelease: true })
+    ) {
+        return
+    }
+    context.report({
+        node,
+        loc: node.loc,
+        message:
+            '"{{moduleName}}@{{version}}" is installed, but "package.json" requires "{{specifier}}".',
+        data: { moduleName, version, specifier },
+    })
+}
+
+module.exports = {
+    meta: {
+        docs: {
+            description:
+                "disallow installed packages which don't match the versions in 'package.json'",
+            category: "Possible Errors",
+            recommended: false,
+            url:
+                "https://github.com/mysticatea/eslint-plugin-node/blob/v6.0.1/docs/rules/no-mismatched-dependency-versions.md",
+        },
+        fixable: null,
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    allowModules: getAllowModules.schema,
+                    resolvePaths: getResolvePaths.schema,
+                    resolver: getResolver.schema,
+                    typescript: getTypeScriptConfig.schema,
+                },
+                additionalProperties: false,
+            },
+        ],
+    },
+    create(context) {
+        const filePath = context.getFilename()
+        if (filePath === "<input>") {
+            return {}
+        }
+
+        return {
+            "Program:exit"(node) {
+                const packageInfo = getPackageJson(filePath)
+                if (!packageInfo) {
+                    return
+                }
+
+                const allowed = new Set(getAllowModules(context))
+                const options = getImportOptions(context)
+                const reported = new Set()
+                const targets = [].concat(
+                    getRequireTargets(context, false),
+                    getImportExportTargets(context, node, false)
+                )
+
+                for (const target of targets) {
+                    if (
+                        target.moduleName == null ||
+                        target.filePath == null ||
+                        allowed.has(target.moduleName)
+                    ) {
+                        continue
+                    }
+
+                    checkVersion(
+                        context,
+                        packageInfo,
+                        target,
+                        options,
+                        reported
+                    )
+                }
+            },
+        }
+    },
+}
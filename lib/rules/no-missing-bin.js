@@ -0,0 +1,86 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const fs = require("fs")
+const path = require("path")
+const getJsonProperty = require("../util/get-json-property")
+const getPackageJsonNode = require("../util/get-package-json-node")
+const getValueIfString = require("../util/get-value-if-string")
+
+/**
+ * Checks whether or not a given path is a file.
+ *
+ * @param {string} filePath - The path to check.
+ * @returns {boolean} `true` if the path is a file.
+ */
+function isFile(filePath) {
+    try {
+        return fs.statSync(filePath).isFile()
+    } catch (_err) {
+        return false
+    }
+}
+
+/**
+ * Gets the nodes of the targets of a given `bin` field.
+ *
+ * - `"bin": "cli.js"`
+ * - `"bin": {"a": "a.js", "b": "b.js"}`
+ *
+ * @param {ASTNode} node - The value node of the `bin` field.
+ * @returns {ASTNode[]} The nodes of the targets.
+ */
+function getTargetNodes(node) {
+    if (node.type === "ObjectExpression") {
+        return node.properties
+            .filter(property => property.type === "Property")
+            .map(property => property.value)
+    }
+    return [node]
+}
+
+module.exports = {
+    meta: {
+        docs: {
+            description:
+                "disallow files in the `bin` field of 'package.json' which don't exist",
+            category: "Possible Errors",
+            recommended: false,
+            url:
+                "https://github.com/mysticatea/eslint-plugin-node/blob/v6.0.1/docs/rules/no-missing-bin.md",
+        },
+        fixable: null,
+        schema: [],
+    },
+    create(context) {
+        return {
+            Program(node) {
+                const property = getJsonProperty(
+                    getPackageJsonNode(context, node),
+                    "bin"
+                )
+                if (property == null) {
+                    return
+                }
+
+                const basedir = path.dirname(
+                    path.resolve(context.getFilename())
+                )
+                for (const targetNode of getTargetNodes(property.value)) {
+                    const name = getValueIfString(targetNode)
+                    if (name && !isFile(path.resolve(basedir, name))) {
+                        context.report({
+                            node: targetNode,
+                            message:
+                                "'{{name}}' in 'bin' of 'package.json' is not found.",
+                            data: { name },
+                        })
+                    }
+                }
+            },
+        }
+    },
+}
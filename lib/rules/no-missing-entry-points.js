@@ -0,0 +1,245 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const Cache = require("../util/cache")
+const exists = require("../util/exists")
+const getJsonProperty = require("../util/get-json-property")
+const getNpmignore = require("../util/get-npmignore")
+const getPackageJson = require("../util/get-package-json")
+const getPackageJsonNode = require("../util/get-package-json-node")
+const iterateFiles = require("../util/iterate-files")
+
+const MAIN_FIELDS = ["main", "module"]
+const FILE_FIELDS = ["types", "typings"]
+const MAIN_SUFFIXES = [
+    "",
+    ".js",
+    ".json",
+    ".node",
+    "/index.js",
+    "/index.json",
+    "/index.node",
+]
+
+// The file which reports the problems of each `package.json` while linting.
+// The cache disposes of the reporter after linting, so the next lint run
+// reports the problems again.
+const reporters = new Cache()
+
+/**
+ * Iterates the targets of a given value of the `exports` field.
+ * The value can be nested with conditions and arrays.
+ *
+ * @param {any} value - The value of the `exports` field.
+ * @param {string} field - The name of the field to report.
+ * @param {Array<string|number>} keys - The keys from the root of
+ *      `package.json` to the value.
+ * @returns {IterableIterator<object>} The targets. Each element has `field`,
+ *      `keys`, and `name` properties.
+ */
+function* iterateExportTargets(value, field, keys) {
+    if (Array.isArray(value)) {
+        for (let i = 0; i < value.length; ++i) {
+            yield* iterateExportTargets(
+                value[i],
+                `${field}[${i}]`,
+                keys.concat(i)
+            )
+        }
+    } else if (value != null && typeof value === "object") {
+        for (const key of Object.keys(value)) {
+            yield* iterateExportTargets(
+                value[key],
+                `${field}[${JSON.stringify(key)}]`,
+                keys.concat(key)
+            )
+        }
+    } else if (typeof value === "string") {
+        yield { field, keys, name: value }
+    }
+}
+
+/**
+ * Iterates the entry points of a given `package.json`.
+ *
+ * - `main` and `module` fields.
+ * - `types` and `typings` fields.
+ * - The targets of `exports` field.
+ *
+ * @param {object} packageInfo - The data of `package.json`.
+ * @returns {IterableIterator<object>} The entry points. Each element has
+ *      `field`, `keys`, and `name` properties.
+ */
+function* iterateEntryPoints(packageInfo) {
+    for (const field of MAIN_FIELDS.concat(FILE_FIELDS)) {
+        if (typeof packageInfo[field] === "string") {
+            yield { field, keys: [field], name: packageInfo[field] }
+        }
+    }
+
+    if (packageInfo.exports != null) {
+        yield* iterateExportTargets(packageInfo.exports, "exports", ["exports"])
+    }
+}
+
+/**
+ * Gets the value node at the given keys in a `package.json` node.
+ *
+ * @param {ASTNode} rootNode - The root object node of `package.json`.
+ * @param {Array<string|number>} keys - The keys from the root.
+ * @returns {ASTNode|null} The value node, or `null` if not found.
+ */
+function getValueNode(rootNode, keys) {
+    let node = rootNode
+    for (const key of keys) {
+        if (typeof key === "number") {
+            node =
+                node != null && node.type === "ArrayExpression"
+                    ? node.elements[key]
+                    : null
+        } else {
+            const property = getJsonProperty(node, key)
+            node = property && property.value
+        }
+    }
+    return node
+}
+
+/**
+ * Gets the relative paths of the files which a given entry point points.
+ *
+ * - `main` and `module` fields are resolved as the same as `require()`.
+ * - `*` in `exports` field matches any string, including `/`.
+ *
+ * @param {string} basedir - The directory which `package.json` exists.
+ * @param {object} entry - The entry point.
+ * @returns {string[]} The relative paths of the found files.
+ */
+function getEntryFiles(basedir, entry) {
+    const name = path.posix.normalize(entry.name).replace(/^\.\/|\/$/g, "")
+
+    if (entry.field.startsWith("exports") && name.indexOf("*") !== -1) {
+        const prefix = name.slice(0, name.indexOf("*"))
+        const dir = prefix.slice(0, prefix.lastIndexOf("/") + 1)
+        const pattern = new RegExp(
+            `^${name
+                .split("*")
+                .map(s => s.replace(/[$()+.?[\\\]^{|}]/g, "\\$&"))
+                .join(".+")}$`
+        )
+        return Array.from(iterateFiles(basedir, dir.replace(/\/$/, ""))).filter(
+            relativePath => pattern.test(relativePath)
+        )
+    }
+
+    const suffixes =
+        MAIN_FIELDS.indexOf(entry.field) !== -1 ? MAIN_SUFFIXES : [""]
+    const found = suffixes
+        .map(suffix => `${name}${suffix}`)
+        .find(relativePath => exists(path.join(basedir, relativePath)))
+
+    return found ? [found] : []
+}
+
+/**
+ * Checks a given entry point.
+ *
+ * @param {string} filePath - The path to `package.json`.
+ * @param {object} entry - The entry point.
+ * @returns {string|null} The message of the problem, or `null`.
+ */
+function checkEntryPoint(filePath, entry) {
+    if (entry.field.startsWith("exports") && !entry.name.startsWith("./")) {
+        return "'{{name}}' in '{{field}}' of 'package.json' must start with './'."
+    }
+
+    const basedir = path.dirname(filePath)
+    const files = getEntryFiles(basedir, entry)
+    if (files.length === 0) {
+        return "'{{name}}' in '{{field}}' of 'package.json' is not found."
+    }
+
+    const npmignore = getNpmignore(filePath)
+    if (files.every(relativePath => npmignore.match(relativePath))) {
+        return "npm ignores '{{name}}' in '{{field}}' of 'package.json'. Check 'files' field of 'package.json' or '.npmignore'."
+    }
+
+    return null
+}
+
+module.exports = {
+    meta: {
+        docs: {
+            description:
+                "disallow entry points of 'package.json' which are missing or ignored by npm",
+            category: "Possible Errors",
+            recommended: false,
+            url:
+                "https://github.com/mysticatea/eslint-plugin-node/blob/v6.0.1/docs/rules/no-missing-entry-points.md",
+        },
+        fixable: null,
+        schema: [],
+    },
+    create(context) {
+        const filePath = context.getFilename()
+        if (filePath === "<input>") {
+            return {}
+        }
+
+        return {
+            Program(node) {
+                const rootNode = getPackageJsonNode(context, node)
+
+                // Lint `package.json` through the `package-json` processor.
+                if (rootNode != null) {
+                    let packageInfo = null
+                    try {
+                        packageInfo = JSON.parse(
+                            context.getSourceCode().getText(rootNode)
+                        )
+                    } catch (_err) {
+                        return
+                    }
+
+                    const packagePath = path.resolve(filePath)
+                    for (const entry of iterateEntryPoints(packageInfo)) {
+                        const message = checkEntryPoint(packagePath, entry)
+                        const valueNode = getValueNode(rootNode, entry.keys)
+                        if (message != null && valueNode != null) {
+                            context.report({
+                                node: valueNode,
+                                message,
+                                data: entry,
+                            })
+                        }
+                    }
+                    return
+                }
+
+                // Lint the files of the package.
+                const packageInfo = getPackageJson(filePath)
+                if (!packageInfo) {
+                    return
+                }
+
+                // Report the problems on only one file of each package.
+                const reporter = reporters.get(packageInfo.filePath)
+                if (reporter != null && reporter !== path.resolve(filePath)) {
+                    return
+                }
+                reporters.set(packageInfo.filePath, path.resolve(filePath))
+
+                for (const entry of iterateEntryPoints(packageInfo)) {
+                    const message = checkEntryPoint(packageInfo.filePath, entry)
+                    if (message != null) {
+                        context.report({ node, message, data: entry })
+                    }
+                }
+            },
+        }
+    },
+}
@@ -0,0 +1,53 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const checkNamedExports = require("../util/check-named-exports")
+const getImportExportTargets = require("../util/get-import-export-targets")
+const getResolvePaths = require("../util/get-resolve-paths")
+const getResolver = require("../util/get-resolver")
+const getTryExtensions = require("../util/get-try-extensions")
+const getTypeScriptConfig = require("../util/get-typescript-config")
+
+module.exports = {
+    meta: {
+        docs: {
+            description:
+                "disallow `import` declarations of names which are not exported",
+            category: "Possible Errors",
+            recommended: false,
+            url:
+                "https://github.com/mysticatea/eslint-plugin-node/blob/v6.0.1/docs/rules/no-missing-named-import.md",
+        },
+        fixable: null,
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    tryExtensions: getTryExtensions.schema,
+                    resolvePaths: getResolvePaths.schema,
+                    resolver: getResolver.schema,
+                    typescript: getTypeScriptConfig.schema,
+                },
+                additionalProperties: false,
+            },
+        ],
+    },
+    create(context) {
+        const filePath = context.getFilename()
+        if (filePath === "<input>") {
+            return {}
+        }
+
+        return {
+            "Program:exit"(node) {
+                checkNamedExports(
+                    context,
+                    getImportExportTargets(context, node)
+                )
+            },
+        }
+    },
+}
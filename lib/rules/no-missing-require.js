@@ -8,7 +8,9 @@ const checkExistence = require("../util/check-existence")
 const getAllowModules = require("../util/get-allow-modules")
 const getRequireTargets = require("../util/get-require-targets")
 const getResolvePaths = require("../util/get-resolve-paths")
+const getResolver = require("../util/get-resolver")
 const getTryExtensions = require("../util/get-try-extensions")
+const getTypeScriptConfig = require("../util/get-typescript-config")
 
 module.exports = {
     meta: {
@@ -20,6 +22,7 @@ module.exports = {
                 "https://github.com/mysticatea/eslint-plugin-node/blob/v6.0.1/docs/rules/no-missing-require.md",
         },
         fixable: null,
+        hasSuggestions: true,
         schema: [
             {
                 type: "object",
@@ -27,6 +30,8 @@ module.exports = {
                     allowModules: getAllowModules.schema,
                     tryExtensions: getTryExtensions.schema,
                     resolvePaths: getResolvePaths.schema,
+                    resolver: getResolver.schema,
+                    typescript: getTypeScriptConfig.schema,
                 },
                 additionalProperties: false,
             },
@@ -0,0 +1,290 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const semver = require("semver")
+const getConfiguredNodeVersion = require("../util/get-configured-node-version")
+const getModuleType = require("../util/get-module-type")
+const stripNodeScheme = require("../util/strip-node-scheme")
+
+const COMMONJS_GLOBALS = [
+    "__dirname",
+    "__filename",
+    "require",
+    "module",
+    "exports",
+]
+
+// The versions which don't have `import.meta.dirname` and
+// `import.meta.filename`.
+const NO_IMPORT_META_PATHS = "<20.11.0"
+
+// The pairs of the `import.meta` properties and CommonJS globals which can
+// replace each other.
+const IMPORT_META_PATHS = new Map([
+    ["dirname", "__dirname"],
+    ["filename", "__filename"],
+])
+
+/**
+ * Finds the variable of a given name from a given scope.
+ *
+ * @param {escope.Scope} initialScope - The scope to start finding.
+ * @param {string} name - The variable name to find.
+ * @returns {escope.Variable|null} The found variable, or `null`.
+ */
+function findVariable(initialScope, name) {
+    for (let scope = initialScope; scope != null; scope = scope.upper) {
+        const variable = scope.set.get(name)
+        if (variable != null) {
+            return variable
+        }
+    }
+    return null
+}
+
+/**
+ * Gets the references of given global variables.
+ * This includes the references which are not declared by any configuration.
+ *
+ * @param {escope.Scope} globalScope - The global scope.
+ * @param {string[]} names - The names of the global variables.
+ * @returns {escope.Reference[]} The references in source code order.
+ */
+function getGlobalReferences(globalScope, names) {
+    const retv = []
+
+    for (const name of names) {
+        const variable = globalScope.set.get(name)
+        if (variable != null && variable.defs.length === 0) {
+            retv.push(...variable.references)
+        }
+    }
+    for (const reference of globalScope.through) {
+        if (names.indexOf(reference.identifier.name) !== -1) {
+            retv.push(reference)
+        }
+    }
+
+    return retv.sort((a, b) => a.identifier.range[0] - b.identifier.range[0])
+}
+
+/**
+ * Gets the code which calls a given function of a core module through the
+ * `import` declarations of the current file.
+ *
+ * - `import path from "path"` -> `path.dirname`
+ * - `import { dirname as d } from "node:path"` -> `d`
+ *
+ * @param {ASTNode} program - The `Program` node.
+ * @param {escope.Scope} scope - The scope where the code is used.
+ * @param {string} moduleName - The name of the core module.
+ * @param {string} exportName - The name of the function.
+ * @returns {string|null} The code, or `null` if the function is not imported
+ *      or the imported variable is shadowed.
+ */
+function getImportedFunction(program, scope, moduleName, exportName) {
+    for (const node of program.body) {
+        if (
+            node.type !== "ImportDeclaration" ||
+            stripNodeScheme(node.source.value) !== moduleName
+        ) {
+            continue
+        }
+
+        for (const specifier of node.specifiers) {
+            const localName = specifier.local.name
+            const code =
+                specifier.type === "ImportSpecifier"
+                    ? specifier.imported.name === exportName
+                        ? localName
+                        : null
+                    : `${localName}.${exportName}`
+            const variable = code && findVariable(scope, localName)
+
+            if (
+                variable != null &&
+                variable.defs.some(def => def.node === specifier)
+            ) {
+                return code
+            }
+        }
+    }
+    return null
+}
+
+module.exports = {
+    meta: {
+        docs: {
+            description:
+                "disallow CommonJS globals in ES modules and ES module syntax in CommonJS modules",
+            category: "Possible Errors",
+            recommended: false,
+            url:
+                "https://github.com/mysticatea/eslint-plugin-node/blob/v6.0.1/docs/rules/no-mixed-module-systems.md",
+        },
+        fixable: "code",
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    version: getConfiguredNodeVersion.schema,
+                },
+                additionalProperties: false,
+            },
+        ],
+    },
+    create(context) {
+        const moduleType = getModuleType(context.getFilename())
+        const sourceCode = context.getSourceCode()
+
+        /**
+         * Gets the code which replaces `__dirname` or `__filename` in the
+         * current ES module.
+         *
+         * @param {escope.Reference} reference - The reference to replace.
+         * @returns {string|null} The code, or `null` if it cannot replace the
+         *      reference safely.
+         */
+        function getPathCode(reference) {
+            const name = reference.identifier.name
+            if (name !== "__dirname" && name !== "__filename") {
+                return null
+            }
+
+            const version = getConfiguredNodeVersion(context)
+            if (!semver.intersects(version, NO_IMPORT_META_PATHS)) {
+                return name === "__dirname"
+                    ? "import.meta.dirname"
+                    : "import.meta.filename"
+            }
+
+            const program = sourceCode.ast
+            const fileURLToPath = getImportedFunction(
+                program,
+                reference.from,
+                "url",
+                "fileURLToPath"
+            )
+            const dirname =
+                name === "__dirname"
+                    ? getImportedFunction(
+                          program,
+                          reference.from,
+                          "path",
+                          "dirname"
+                      )
+                    : null
+            if (fileURLToPath == null) {
+                return null
+            }
+            if (name === "__filename") {
+                return `${fileURLToPath}(import.meta.url)`
+            }
+            return dirname && `${dirname}(${fileURLToPath}(import.meta.url))`
+        }
+
+        /**
+         * Reports the CommonJS globals in the current ES module.
+         *
+         * @returns {void}
+         */
+        function checkCommonJsGlobals() {
+            const globalScope = context.getScope()
+
+            for (const reference of getGlobalReferences(
+                globalScope,
+                COMMONJS_GLOBALS
+            )) {
+                const node = reference.identifier
+                if (
+                    node.parent.type === "UnaryExpression" &&
+                    node.parent.operator === "typeof"
+                ) {
+                    continue
+                }
+
+                const code = reference.isReadOnly()
+                    ? getPathCode(reference)
+                    : null
+                context.report({
+                    node,
+                    loc: node.loc,
+                    message: "'{{name}}' is not defined in ES modules.",
+                    data: { name: node.name },
+                    fix: code && (fixer => fixer.replaceText(node, code)),
+                })
+            }
+        }
+
+        /**
+         * Reports a given ES module syntax in the current CommonJS module.
+         *
+         * @param {ASTNode} node - The node to report.
+         * @returns {void}
+         */
+        function reportModuleSyntax(node) {
+            context.report({
+                node,
+                loc: node.loc,
+                message:
+                    "'{{name}}' declarations are not allowed in CommonJS modules.",
+                data: {
+                    name:
+                        node.type === "ImportDeclaration" ? "import" : "export",
+                },
+            })
+        }
+
+        if (moduleType === "module") {
+            return {
+                "Program:exit": checkCommonJsGlobals,
+            }
+        }
+        if (moduleType === "commonjs") {
+            return {
+                ImportDeclaration: reportModuleSyntax,
+                ExportAllDeclaration: reportModuleSyntax,
+                ExportDefaultDeclaration: reportModuleSyntax,
+                ExportNamedDeclaration: reportModuleSyntax,
+
+                MetaProperty(node) {
+                    if (
+                        node.meta.name !== "import" ||
+                        node.property.name !== "meta"
+                    ) {
+                        return
+                    }
+
+                    // `import.meta.dirname` -> `__dirname`
+                    const parent = node.parent
+                    const key =
+                        parent.type === "MemberExpression" &&
+                        parent.object === node &&
+                        !parent.computed
+                            ? parent.property.name
+                            : null
+                    const name = IMPORT_META_PATHS.get(key)
+                    const variable =
+                        name && findVariable(context.getScope(), name)
+                    const fixable =
+                        name != null &&
+                        (variable == null || variable.defs.length === 0)
+
+                    context.report({
+                        node,
+                        loc: node.loc,
+                        message:
+                            "'import.meta' is not allowed in CommonJS modules.",
+                        fix: fixable
+                            ? fixer => fixer.replaceText(parent, name)
+                            : null,
+                    })
+                },
+            }
+        }
+        return {}
+    },
+}
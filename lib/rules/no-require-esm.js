@@ -0,0 +1,84 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const semver = require("semver")
+const exists = require("../util/exists")
+const getConfiguredNodeVersion = require("../util/get-configured-node-version")
+const getModuleType = require("../util/get-module-type")
+const getRequireTargets = require("../util/get-require-targets")
+const getResolvePaths = require("../util/get-resolve-paths")
+const getResolver = require("../util/get-resolver")
+const getTryExtensions = require("../util/get-try-extensions")
+const getTypeScriptConfig = require("../util/get-typescript-config")
+
+// The versions which throw ERR_REQUIRE_ESM on `require()` of ES modules.
+// Each range is checked separately because `semver.intersects()` doesn't
+// handle `||` of both ranges correctly.
+const UNSUPPORTED_RANGES = ["<20.19.0", ">=21.0.0 <22.12.0"]
+
+module.exports = {
+    meta: {
+        docs: {
+            description:
+                "disallow `require()` expressions of ES modules on the Node versions which don't support it",
+            category: "Possible Errors",
+            recommended: false,
+            url:
+                "https://github.com/mysticatea/eslint-plugin-node/blob/v6.0.1/docs/rules/no-require-esm.md",
+        },
+        fixable: null,
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    version: getConfiguredNodeVersion.schema,
+                    tryExtensions: getTryExtensions.schema,
+                    resolvePaths: getResolvePaths.schema,
+                    resolver: getResolver.schema,
+                    typescript: getTypeScriptConfig.schema,
+                },
+                additionalProperties: false,
+            },
+        ],
+    },
+    create(context) {
+        const filePath = context.getFilename()
+        if (filePath === "<input>") {
+            return {}
+        }
+
+        return {
+            "Program:exit"() {
+                const version = getConfiguredNodeVersion(context)
+                const unsupported = UNSUPPORTED_RANGES.some(range =>
+                    semver.intersects(version, range)
+                )
+                if (!unsupported) {
+                    return
+                }
+
+                for (const target of getRequireTargets(context)) {
+                    const call = target.node.parent
+                    if (
+                        call.type === "CallExpression" &&
+                        call.callee.type !== "MemberExpression" &&
+                        target.filePath != null &&
+                        exists(target.filePath) &&
+                        getModuleType(target.filePath) === "module"
+                    ) {
+                        context.report({
+                            node: target.node,
+                            loc: target.node.loc,
+                            message:
+                                '"{{name}}" is an ES module. `require()` of it throws ERR_REQUIRE_ESM on Node {{version}}.',
+                            data: { name: target.name, version },
+                        })
+                    }
+                }
+            },
+        }
+    },
+}
@@ -0,0 +1,220 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const getImportExportTargets = require("../util/get-import-export-targets")
+const getPackageJson = require("../util/get-package-json")
+const getRequireTargets = require("../util/get-require-targets")
+
+const FUNCTION_TYPE = /^(?:Arrow)?Function(?:Declaration|Expression)$/
+const STATIC_TYPE = /^(?:Import|Export(?:Named|All))Declaration$/
+const PROMISE_METHODS = new Set(["catch", "finally", "then"])
+
+/**
+ * Gets the names of the dependencies which are only in `optionalDependencies`
+ * of a given `package.json`.
+ *
+ * @param {object} packageInfo - The `package.json` data.
+ * @returns {Set<string>} The names of the optional dependencies.
+ */
+function getOptionalDependencies(packageInfo) {
+    const others = new Set(
+        [].concat(
+            Object.keys(packageInfo.dependencies || {}),
+            Object.keys(packageInfo.devDependencies || {}),
+            Object.keys(packageInfo.peerDependencies || {})
+        )
+    )
+    return new Set(
+        Object.keys(packageInfo.optionalDependencies || {}).filter(
+            name => !others.has(name)
+        )
+    )
+}
+
+/**
+ * Gets the dotted name of a given callee node.
+ *
+ * - `load` -> `"load"`
+ * - `utils.load` -> `"utils.load"`
+ *
+ * @param {ASTNode} node - The callee node.
+ * @returns {string|null} The name, or `null` if it's not a simple reference.
+ */
+function getCalleeName(node) {
+    if (node.type === "Identifier") {
+        return node.name
+    }
+    if (
+        node.type === "MemberExpression" &&
+        !node.computed &&
+        node.property.type === "Identifier"
+    ) {
+        const objectName = getCalleeName(node.object)
+        return objectName && `${objectName}.${node.property.name}`
+    }
+    return null
+}
+
+/**
+ * Checks whether or not a given promise is handled by `.catch()`.
+ *
+ * - `import("x").catch(f)`
+ * - `import("x").then(f).catch(g)`
+ * - `import("x").then(f, g)`
+ *
+ * @param {ASTNode} node - The node which creates the promise.
+ * @returns {boolean} `true` if the rejection is handled.
+ */
+function isCaught(node) {
+    let promise = node
+
+    while (
+        promise.parent.type === "MemberExpression" &&
+        promise.parent.object === promise &&
+        !promise.parent.computed &&
+        PROMISE_METHODS.has(promise.parent.property.name) &&
+        promise.parent.parent.type === "CallExpression" &&
+        promise.parent.parent.callee === promise.parent
+    ) {
+        const name = promise.parent.property.name
+        const call = promise.parent.parent
+        if (
+            name === "catch" ||
+            (name === "then" && call.arguments.length >= 2)
+        ) {
+            return true
+        }
+        promise = call
+    }
+
+    return false
+}
+
+/**
+ * Checks whether or not a given loading expression is guarded.
+ *
+ * - The expression is in the `try` block of a `try` statement which has the
+ *   `catch` clause.
+ * - The promise of the expression is handled by `.catch()`.
+ * - The expression, or the function which contains the expression, is an
+ *   argument of a loader function.
+ *
+ * This doesn't look over function boundaries because the function may be
+ * called from anywhere.
+ *
+ * @param {ASTNode} node - The node of the loading expression.
+ * @param {Set<string>} loaders - The names of the loader functions.
+ * @returns {boolean} `true` if the expression is guarded.
+ */
+function isGuarded(node, loaders) {
+    if (isCaught(node)) {
+        return true
+    }
+
+    for (let child = node; child.parent != null; child = child.parent) {
+        const parent = child.parent
+
+        if (
+            parent.type === "CallExpression" &&
+            parent.arguments.indexOf(child) !== -1 &&
+            loaders.has(getCalleeName(parent.callee))
+        ) {
+            return true
+        }
+        if (
+            parent.type === "TryStatement" &&
+            parent.block === child &&
+            parent.handler != null
+        ) {
+            return true
+        }
+        if (FUNCTION_TYPE.test(child.type)) {
+            return false
+        }
+    }
+
+    return false
+}
+
+module.exports = {
+    meta: {
+        docs: {
+            description:
+                "require `optionalDependencies` to be loaded with handling the failure",
+            category: "Possible Errors",
+            recommended: false,
+            url:
+                "https://github.com/mysticatea/eslint-plugin-node/blob/v6.0.1/docs/rules/no-unguarded-optional-dependencies.md",
+        },
+        fixable: null,
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    loaders: {
+                        type: "array",
+                        items: { type: "string" },
+                        uniqueItems: true,
+                    },
+                },
+                additionalProperties: false,
+            },
+        ],
+    },
+    create(context) {
+        const filePath = context.getFilename()
+        if (filePath === "<input>") {
+            return {}
+        }
+
+        const options = context.options[0] || {}
+        const loaders = new Set(options.loaders || [])
+
+        return {
+            "Program:exit"(node) {
+                const packageInfo = getPackageJson(filePath)
+                if (!packageInfo) {
+                    return
+                }
+                const optionalDependencies = getOptionalDependencies(
+                    packageInfo
+                )
+                if (optionalDependencies.size === 0) {
+                    return
+                }
+
+                const targets = [].concat(
+                    getRequireTargets(context, false),
+                    getImportExportTargets(context, node, false)
+                )
+                for (const target of targets) {
+                    if (!optionalDependencies.has(target.moduleName)) {
+                        continue
+                    }
+
+                    const loadingNode = target.node.parent
+                    if (STATIC_TYPE.test(loadingNode.type)) {
+                        context.report({
+                            node: target.node,
+                            loc: target.node.loc,
+                            message:
+                                "\"{{moduleName}}\" is in \"optionalDependencies\", so it cannot be imported by static 'import' and 'export' declarations.",
+                            data: target,
+                        })
+                    } else if (!isGuarded(loadingNode, loaders)) {
+                        context.report({
+                            node: target.node,
+                            loc: target.node.loc,
+                            message:
+                                '"{{moduleName}}" is in "optionalDependencies", so loading it has to handle the failure.',
+                            data: target,
+                        })
+                    }
+                }
+            },
+        }
+    },
+}
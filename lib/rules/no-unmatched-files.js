@@ -0,0 +1,78 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const ignore = require("ignore")
+const getJsonProperty = require("../util/get-json-property")
+const getPackageJsonNode = require("../util/get-package-json-node")
+const getValueIfString = require("../util/get-value-if-string")
+const iterateFiles = require("../util/iterate-files")
+
+const SLASH_AT_BEGIN_AND_END = /^!?\/+|^!|\/+$/g
+
+/**
+ * Checks whether or not a given pattern of the `files` field matches any of
+ * given files.
+ * A pattern matches the files in the directories which it matches, as the
+ * same as npm.
+ *
+ * @param {string} pattern - The pattern to check.
+ * @param {string[]} files - The relative paths of the files.
+ * @returns {boolean} `true` if the pattern matches any of the files.
+ */
+function matchesAny(pattern, files) {
+    const body = pattern.replace(SLASH_AT_BEGIN_AND_END, "")
+    const ig = ignore().add([`/${body}`, `/${body}/**`])
+    return files.some(relativePath => ig.ignores(relativePath))
+}
+
+module.exports = {
+    meta: {
+        docs: {
+            description:
+                "disallow patterns in the `files` field of 'package.json' which match no files",
+            category: "Possible Errors",
+            recommended: false,
+            url:
+                "https://github.com/mysticatea/eslint-plugin-node/blob/v6.0.1/docs/rules/no-unmatched-files.md",
+        },
+        fixable: null,
+        schema: [],
+    },
+    create(context) {
+        return {
+            Program(node) {
+                const property = getJsonProperty(
+                    getPackageJsonNode(context, node),
+                    "files"
+                )
+                if (
+                    property == null ||
+                    property.value.type !== "ArrayExpression"
+                ) {
+                    return
+                }
+
+                const basedir = path.dirname(
+                    path.resolve(context.getFilename())
+                )
+                const files = Array.from(iterateFiles(basedir, ""))
+
+                for (const element of property.value.elements) {
+                    const pattern = element && getValueIfString(element)
+                    if (pattern && !matchesAny(pattern, files)) {
+                        context.report({
+                            node: element,
+                            message:
+                                "'{{pattern}}' in 'files' of 'package.json' matches no files.",
+                            data: { pattern },
+                        })
+                    }
+                }
+            },
+        }
+    },
+}
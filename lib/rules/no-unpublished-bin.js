@@ -6,6 +6,7 @@
 
 const path = require("path")
 const getConvertPath = require("../util/get-convert-path")
+const getIgnorePrivate = require("../util/get-ignore-private")
 const getNpmignore = require("../util/get-npmignore")
 const getPackageJson = require("../util/get-package-json")
 
@@ -45,6 +46,7 @@ module.exports = {
                 properties: {
                     //
                     convertPath: getConvertPath.schema,
+                    ignorePrivate: getIgnorePrivate.schema,
                 },
             },
         ],
@@ -61,7 +63,7 @@ module.exports = {
 
                 // Find package.json
                 const p = getPackageJson(rawFilePath)
-                if (!p) {
+                if (!p || (p.private === true && getIgnorePrivate(context))) {
                     return
                 }
 
@@ -7,9 +7,12 @@
 const checkPublish = require("../util/check-publish")
 const getAllowModules = require("../util/get-allow-modules")
 const getConvertPath = require("../util/get-convert-path")
+const getIgnorePrivate = require("../util/get-ignore-private")
 const getImportExportTargets = require("../util/get-import-export-targets")
 const getResolvePaths = require("../util/get-resolve-paths")
+const getResolver = require("../util/get-resolver")
 const getTryExtensions = require("../util/get-try-extensions")
+const getTypeScriptConfig = require("../util/get-typescript-config")
 
 module.exports = {
     meta: {
@@ -27,7 +30,10 @@ module.exports = {
                 properties: {
                     allowModules: getAllowModules.schema,
                     convertPath: getConvertPath.schema,
+                    ignorePrivate: getIgnorePrivate.schema,
                     resolvePaths: getResolvePaths.schema,
+                    resolver: getResolver.schema,
+                    typescript: getTypeScriptConfig.schema,
                     tryExtensions: getTryExtensions.schema,
                 },
                 additionalProperties: false,
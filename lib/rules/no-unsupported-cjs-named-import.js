@@ -0,0 +1,236 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const exists = require("../util/exists")
+const getCommonJsNamedExports = require("../util/get-commonjs-named-exports")
+const getImportExportTargets = require("../util/get-import-export-targets")
+const getImportOptions = require("../util/get-import-options")
+const getModuleType = require("../util/get-module-type")
+const getResolvePaths = require("../util/get-resolve-paths")
+const getResolver = require("../util/get-resolver")
+const getTryExtensions = require("../util/get-try-extensions")
+const getTypeScriptConfig = require("../util/get-typescript-config")
+
+/**
+ * Gets the named import specifiers of a given declaration.
+ * Type-only imports are ignored.
+ *
+ * @param {ASTNode} node - The `ImportDeclaration` or `ExportNamedDeclaration`
+ *      node.
+ * @returns {ASTNode[]} The specifiers which import the names except `default`.
+ */
+function getNamedSpecifiers(node) {
+    if (
+        (node.type !== "ImportDeclaration" &&
+            node.type !== "ExportNamedDeclaration") ||
+        (node.importKind || node.exportKind || "value") !== "value"
+    ) {
+        return []
+    }
+
+    return node.specifiers.filter(
+        specifier =>
+            (specifier.type === "ImportSpecifier" ||
+                specifier.type === "ExportSpecifier") &&
+            (specifier.importKind || "value") === "value" &&
+            getImportedName(specifier) !== "default"
+    )
+}
+
+/**
+ * Gets the name which a given specifier imports.
+ *
+ * @param {ASTNode} specifier - The `ImportSpecifier` or `ExportSpecifier`
+ *      node.
+ * @returns {string} The imported name.
+ */
+function getImportedName(specifier) {
+    return specifier.type === "ImportSpecifier"
+        ? specifier.imported.name
+        : specifier.local.name
+}
+
+/**
+ * Gets the variable name for the default import of a given module.
+ * The name is made from the base name of the module, and it doesn't conflict
+ * with the other variables.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {string} moduleName - The module name.
+ * @returns {string} The variable name.
+ */
+function getDefaultName(context, moduleName) {
+    const scopeManager = context.getSourceCode().scopeManager
+    const usedNames = new Set()
+    for (const scope of scopeManager.scopes) {
+        for (const variable of scope.variables) {
+            usedNames.add(variable.name)
+        }
+    }
+    for (const reference of scopeManager.globalScope.through) {
+        usedNames.add(reference.identifier.name)
+    }
+
+    const baseName =
+        path
+            .basename(moduleName, path.extname(moduleName))
+            .replace(/[^\w$]+(.?)/g, (_, c) => c.toUpperCase())
+            .replace(/^\d+/, "") || "mod"
+    let name = baseName
+    for (let i = 2; usedNames.has(name); ++i) {
+        name = `${baseName}${i}`
+    }
+    return name
+}
+
+/**
+ * Creates the suggestion which rewrites a given import declaration to a
+ * default import and destructuring.
+ *
+ * - `import { a, b as c } from "x"` ->
+ *   `import x from "x"; const { a, b: c } = x;`
+ *
+ * The specifiers of detected names stay in the import declaration.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {ASTNode} node - The `ImportDeclaration` node.
+ * @param {ASTNode[]} unsupported - The specifiers to move to destructuring.
+ * @returns {object[]} The suggestions.
+ */
+function createSuggestions(context, node, unsupported) {
+    if (node.type !== "ImportDeclaration") {
+        return []
+    }
+
+    const sourceCode = context.getSourceCode()
+    const defaultSpecifier = node.specifiers.find(
+        specifier =>
+            specifier.type === "ImportDefaultSpecifier" ||
+            (specifier.type === "ImportSpecifier" &&
+                specifier.imported.name === "default")
+    )
+    const defaultName = defaultSpecifier
+        ? defaultSpecifier.local.name
+        : getDefaultName(context, node.source.value)
+    const kept = node.specifiers
+        .filter(
+            specifier =>
+                specifier !== defaultSpecifier &&
+                unsupported.indexOf(specifier) === -1
+        )
+        .map(specifier => sourceCode.getText(specifier))
+    const moved = unsupported.map(
+        specifier =>
+            specifier.imported.name === specifier.local.name
+                ? specifier.local.name
+                : `${specifier.imported.name}: ${specifier.local.name}`
+    )
+    const source = sourceCode.getText(node.source)
+    const imported =
+        kept.length === 0
+            ? defaultName
+            : `${defaultName}, { ${kept.join(", ")} }`
+
+    return [
+        {
+            desc: "Use a default import and destructuring.",
+            fix: fixer =>
+                fixer.replaceText(
+                    node,
+                    `import ${imported} from ${source};\nconst { ${moved.join(
+                        ", "
+                    )} } = ${defaultName};`
+                ),
+        },
+    ]
+}
+
+module.exports = {
+    meta: {
+        docs: {
+            description:
+                "disallow named imports from CommonJS modules which Node.js cannot detect",
+            category: "Possible Errors",
+            recommended: false,
+            url:
+                "https://github.com/mysticatea/eslint-plugin-node/blob/v6.0.1/docs/rules/no-unsupported-cjs-named-import.md",
+        },
+        fixable: null,
+        hasSuggestions: true,
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    tryExtensions: getTryExtensions.schema,
+                    resolvePaths: getResolvePaths.schema,
+                    resolver: getResolver.schema,
+                    typescript: getTypeScriptConfig.schema,
+                },
+                additionalProperties: false,
+            },
+        ],
+    },
+    create(context) {
+        // CommonJS modules and transpiled files can import any names.
+        const filePath = context.getFilename()
+        if (filePath === "<input>" || getModuleType(filePath) !== "module") {
+            return {}
+        }
+
+        return {
+            "Program:exit"(node) {
+                const options = getImportOptions(context)
+
+                for (const target of getImportExportTargets(context, node)) {
+                    const declaration = target.node.parent
+                    const specifiers = getNamedSpecifiers(declaration)
+                    if (
+                        specifiers.length === 0 ||
+                        target.filePath == null ||
+                        !exists(target.filePath)
+                    ) {
+                        continue
+                    }
+
+                    const names = getCommonJsNamedExports(
+                        context,
+                        target.filePath,
+                        options
+                    )
+                    const unsupported = names
+                        ? specifiers.filter(
+                              specifier =>
+                                  !names.has(getImportedName(specifier))
+                          )
+                        : []
+                    if (unsupported.length === 0) {
+                        continue
+                    }
+
+                    const suggest = createSuggestions(
+                        context,
+                        declaration,
+                        unsupported
+                    )
+                    for (const specifier of unsupported) {
+                        context.report({
+                            node: specifier,
+                            loc: specifier.loc,
+                            message:
+                                '"{{name}}" is not detected as a named export of CommonJS module "{{source}}". Use a default import and destructuring instead.',
+                            data: {
+                                name: getImportedName(specifier),
+                                source: target.name,
+                            },
+                            suggest,
+                        })
+                    }
+                }
+            },
+        }
+    },
+}
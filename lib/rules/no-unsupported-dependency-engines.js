@@ -0,0 +1,93 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const semver = require("semver")
+const getAllowModules = require("../util/get-allow-modules")
+const getConfiguredNodeVersion = require("../util/get-configured-node-version")
+const getImportExportTargets = require("../util/get-import-export-targets")
+const getImportOptions = require("../util/get-import-options")
+const getModulePackageJson = require("../util/get-module-package-json")
+const getRequireTargets = require("../util/get-require-targets")
+const getResolvePaths = require("../util/get-resolve-paths")
+const getResolver = require("../util/get-resolver")
+const getTypeScriptConfig = require("../util/get-typescript-config")
+const getUncoveredRange = require("../util/get-uncovered-range")
+
+module.exports = {
+    meta: {
+        docs: {
+            description:
+                "disallow packages whose `engines.node` doesn't cover the supported Node.js versions",
+            category: "Possible Errors",
+            recommended: false,
+            url:
+                "https://github.com/mysticatea/eslint-plugin-node/blob/v6.0.1/docs/rules/no-unsupported-dependency-engines.md",
+        },
+        fixable: null,
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    allowModules: getAllowModules.schema,
+                    resolvePaths: getResolvePaths.schema,
+                    resolver: getResolver.schema,
+                    typescript: getTypeScriptConfig.schema,
+                    version: getConfiguredNodeVersion.schema,
+                },
+                additionalProperties: false,
+            },
+        ],
+    },
+    create(context) {
+        const filePath = context.getFilename()
+        if (filePath === "<input>") {
+            return {}
+        }
+
+        return {
+            "Program:exit"(node) {
+                const version = getConfiguredNodeVersion(context)
+                const allowed = new Set(getAllowModules(context))
+                const options = getImportOptions(context)
+                const targets = [].concat(
+                    getRequireTargets(context, false),
+                    getImportExportTargets(context, node, false)
+                )
+
+                for (const target of targets) {
+                    if (
+                        target.moduleName == null ||
+                        target.filePath == null ||
+                        allowed.has(target.moduleName)
+                    ) {
+                        continue
+                    }
+
+                    const info = getModulePackageJson(target, options)
+                    const engine = info && info.engines && info.engines.node
+                    const required =
+                        typeof engine === "string" && semver.validRange(engine)
+                    const affected =
+                        required && getUncoveredRange(version, required)
+                    if (affected) {
+                        context.report({
+                            node: target.node,
+                            loc: target.node.loc,
+                            message:
+                                '"{{moduleName}}" doesn\'t support Node.js "{{affected}}". It requires "{{required}}", but the supported versions are "{{version}}".',
+                            data: {
+                                moduleName: target.moduleName,
+                                affected,
+                                required: engine,
+                                version,
+                            },
+                        })
+                    }
+                }
+            },
+        }
+    },
+}
@@ -5,8 +5,10 @@
 "use strict"
 
 const semver = require("semver")
+const { getDynamicImportSource } = require("../util/ast-utils")
 const features = require("../util/features")
-const getPackageJson = require("../util/get-package-json")
+const getConfiguredNodeVersion = require("../util/get-configured-node-version")
+const getModuleType = require("../util/get-module-type")
 const getValueIfString = require("../util/get-value-if-string")
 
 const VERSION_MAP = new Map([
@@ -32,7 +34,6 @@ const VERSION_SCHEMA = {
         },
     ],
 }
-const DEFAULT_VERSION = "4.0.0"
 const OPTIONS = Object.keys(features)
 const FUNC_TYPE = /^(?:Arrow)?Function(?:Declaration|Expression)$/
 const CLASS_TYPE = /^Class(?:Declaration|Expression)$/
@@ -147,22 +148,6 @@ const REGEXP_NAMED_GROUP = /(\\*)\(\?<[_$\w]/
 const REGEXP_LOOKBEHIND = /(\\*)\(\?<[=!]/
 const REGEXP_UNICODE_PROPERTY = /(\\*)\\[pP]{.+?}/
 
-/**
- * Gets default version configuration of this rule.
- *
- * This finds and reads 'package.json' file, then parses 'engines.node' field.
- * If it's nothing, this returns null.
- *
- * @param {string} filename - The file name of the current linting file.
- * @returns {string} The default version configuration.
- */
-function getDefaultVersion(filename) {
-    const info = getPackageJson(filename)
-    const nodeVersion = info && info.engines && info.engines.node
-
-    return semver.validRange(nodeVersion) || DEFAULT_VERSION
-}
-
 /**
  * Gets values of the `ignores` option.
  *
@@ -194,16 +179,46 @@ function isIgnored(key, ignores) {
     )
 }
 
+/**
+ * Gets the range of the versions which don't support a feature.
+ *
+ * e.g. `">=12.20.0 <13.0.0 || >=14.13.1"` -> `"<12.20.0 || >=13.0.0 <14.13.1"`
+ *
+ * @param {string} version - The minimum version which supports the feature,
+ *      or the range of the versions which support the feature. Each set of
+ *      the range must have the lower bound, and the sets must be sorted.
+ * @returns {string} The range of the versions which don't support it.
+ */
+function getUnsupportedRange(version) {
+    if (semver.valid(version)) {
+        return `<${version}`
+    }
+
+    const ranges = []
+    let lower = null
+    for (const comparators of new semver.Range(version).set) {
+        const upper = comparators[0].semver.version
+        ranges.push(lower == null ? `<${upper}` : `>=${lower} <${upper}`)
+        lower = comparators.length >= 2 ? comparators[1].semver.version : null
+        if (lower == null) {
+            break
+        }
+    }
+    if (lower != null) {
+        ranges.push(`>=${lower}`)
+    }
+    return ranges.join(" || ")
+}
+
 /**
  * Parses the options.
  *
- * @param {number|string|object|undefined} options - An option object to parse.
- * @param {number} defaultVersion - The default version to use if the version option was omitted.
+ * @param {RuleContext} context - The rule context.
  * @returns {object} Parsed value.
  */
-function parseOptions(options, defaultVersion) {
+function parseOptions(context) {
+    const options = context.options[0]
     let version = null
-    let range = null
     let ignores = []
 
     if (typeof options === "number") {
@@ -219,9 +234,9 @@ function parseOptions(options, defaultVersion) {
         ignores = options.ignores || []
     }
 
-    range = semver.validRange(version ? `>=${version}` : defaultVersion)
+    const range = getConfiguredNodeVersion(context, version)
     if (!version) {
-        version = defaultVersion
+        version = range
     }
 
     return Object.freeze({
@@ -243,11 +258,11 @@ function parseOptions(options, defaultVersion) {
                         singular: Boolean(feature.singular),
                         supported: !semver.intersects(
                             range,
-                            `<${feature.node}`
+                            getUnsupportedRange(feature.node)
                         ),
                         supportedInStrict: !semver.intersects(
                             range,
-                            `<${feature.node}`
+                            getUnsupportedRange(feature.node)
                         ),
                     })
                 } else {
@@ -259,14 +274,14 @@ function parseOptions(options, defaultVersion) {
                             feature.node.sloppy != null &&
                             !semver.intersects(
                                 range,
-                                `<${feature.node.sloppy}`
+                                getUnsupportedRange(feature.node.sloppy)
                             ),
                         supportedInStrict:
                             feature.node != null &&
                             feature.node.strict != null &&
                             !semver.intersects(
                                 range,
-                                `<${feature.node.strict}`
+                                getUnsupportedRange(feature.node.strict)
                             ),
                     })
                 }
@@ -278,19 +293,66 @@ function parseOptions(options, defaultVersion) {
 }
 
 /**
- * Checks whether or not the current configure has a special lexical environment.
- * If it's modules or globalReturn then it has a special lexical environment.
+ * Checks whether or not a given node has the `"use strict"` directive.
+ * Only `Program` nodes and functions can have directives.
+ *
+ * @param {ASTNode} node - The node to check.
+ * @returns {boolean} `true` if the node has the `"use strict"` directive.
+ */
+function hasUseStrictDirective(node) {
+    const body =
+        node.type === "Program"
+            ? node.body
+            : FUNC_TYPE.test(node.type) && node.body.type === "BlockStatement"
+                ? node.body.body
+                : []
+
+    for (const statement of body) {
+        if (
+            statement.type !== "ExpressionStatement" ||
+            statement.expression.type !== "Literal" ||
+            typeof statement.expression.value !== "string"
+        ) {
+            break
+        }
+        if (statement.expression.raw.slice(1, -1) === "use strict") {
+            return true
+        }
+    }
+    return false
+}
+
+/**
+ * Checks whether or not a given scope is strict mode as a script.
+ * Parsers make the module scope for `sourceType: "module"` and the scope is
+ * always strict mode even if the file is a CommonJS module, so this checks
+ * directives instead of `scope.isStrict`.
+ *
+ * @param {escope.Scope} scope - The scope to check.
+ * @returns {boolean} `true` if the scope is strict mode.
+ */
+function isStrictScope(scope) {
+    for (let s = scope; s != null; s = s.upper) {
+        if (s.type === "class" || hasUseStrictDirective(s.block)) {
+            return true
+        }
+    }
+    return false
+}
+
+/**
+ * Checks whether or not the current file is an ES module.
+ * The module type is determined by the file extension and the `type` field of
+ * `package.json`. If they don't specify it, this follows `sourceType`.
  *
  * @param {RuleContext} context - A context to check.
- * @returns {boolean} `true` if the current configure is modules or globalReturn.
+ * @returns {boolean} `true` if the current file is an ES module.
  */
-function checkSpecialLexicalEnvironment(context) {
-    const parserOptions = context.parserOptions
-    const ecmaFeatures = parserOptions.ecmaFeatures
-    return Boolean(
-        parserOptions.sourceType === "module" ||
-            (ecmaFeatures && ecmaFeatures.globalReturn)
-    )
+function checkModule(context) {
+    const type = getModuleType(context.getFilename())
+    return type != null
+        ? type === "module"
+        : context.parserOptions.sourceType === "module"
 }
 
 /**
@@ -367,13 +429,8 @@ module.exports = {
     },
     create(context) {
         const sourceCode = context.getSourceCode()
-        const supportInfo = parseOptions(
-            context.options[0],
-            getDefaultVersion(context.getFilename())
-        )
-        const hasSpecialLexicalEnvironment = checkSpecialLexicalEnvironment(
-            context
-        )
+        const supportInfo = parseOptions(context)
+        const isModule = checkModule(context)
 
         /**
          * Gets the references of the specified global variables.
@@ -395,16 +452,13 @@ module.exports = {
 
         /**
          * Checks whether or not the current scope is strict mode.
+         * ES modules are always strict mode.
          *
          * @returns {boolean}
          *      `true` if the current scope is strict mode. Otherwise `false`.
          */
         function isStrict() {
-            let scope = context.getScope()
-            if (scope.type === "global" && hasSpecialLexicalEnvironment) {
-                scope = scope.childScopes[0]
-            }
-            return scope.isStrict
+            return isModule || isStrictScope(context.getScope())
         }
 
         /**
@@ -449,6 +503,41 @@ module.exports = {
             )
         }
 
+        /**
+         * Reports a given source node if it has the `node:` URL scheme.
+         *
+         * @param {ASTNode|null} node - The source node to check.
+         * @param {string} key - A feature name to report.
+         * @returns {void}
+         */
+        function checkNodeScheme(node, key) {
+            const name = node && getValueIfString(node)
+            if (name && name.startsWith("node:")) {
+                report(node, key)
+            }
+        }
+
+        /**
+         * Reports the targets of `require()` which have the `node:` URL scheme.
+         *
+         * @returns {void}
+         */
+        function checkRequireNodeScheme() {
+            for (const reference of getReferences(["require"])) {
+                const node = reference.identifier
+                const parentNode = node.parent
+                if (
+                    parentNode.type === "CallExpression" &&
+                    parentNode.callee === node
+                ) {
+                    checkNodeScheme(
+                        parentNode.arguments[0],
+                        "nodeSchemeInRequire"
+                    )
+                }
+            }
+        }
+
         /**
          * Reports a given node if the specified feature is not supported.
          *
@@ -616,6 +705,9 @@ module.exports = {
                         report(node, `extends${node.name}`)
                     }
                 }
+
+                // Check `node:` URL scheme in `require()`.
+                checkRequireNodeScheme()
             },
 
             ArrowFunctionExpression(node) {
@@ -733,6 +825,10 @@ module.exports = {
                 if (hasTrailingCommaForCall(node)) {
                     report(node, "trailingCommasInFunctions")
                 }
+                checkNodeScheme(
+                    getDynamicImportSource(node),
+                    "nodeSchemeInImport"
+                )
             },
 
             Identifier(node) {
@@ -833,6 +929,7 @@ module.exports = {
 
             ExportAllDeclaration(node) {
                 report(node, "modules")
+                checkNodeScheme(node.source, "nodeSchemeInImport")
             },
 
             ExportDefaultDeclaration(node) {
@@ -841,10 +938,19 @@ module.exports = {
 
             ExportNamedDeclaration(node) {
                 report(node, "modules")
+                checkNodeScheme(node.source, "nodeSchemeInImport")
             },
 
             ImportDeclaration(node) {
                 report(node, "modules")
+                checkNodeScheme(node.source, "nodeSchemeInImport")
+            },
+
+            ImportExpression(node) {
+                checkNodeScheme(
+                    getDynamicImportSource(node),
+                    "nodeSchemeInImport"
+                )
             },
         }
     },
@@ -0,0 +1,75 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const getPropertyName = require("./get-property-name")
+
+/**
+ * The keys of AST nodes which don't have child nodes.
+ * @type {Set<string>}
+ */
+const IGNORED_KEYS = new Set([
+    "comments",
+    "leadingComments",
+    "loc",
+    "parent",
+    "range",
+    "tokens",
+    "trailingComments",
+])
+
+/**
+ * Checks whether or not a given node is `module.exports`.
+ *
+ * @param {ASTNode} node - The node to check.
+ * @returns {boolean} `true` if the node is `module.exports`.
+ */
+function isModuleExports(node) {
+    return (
+        node.type === "MemberExpression" &&
+        node.object.type === "Identifier" &&
+        node.object.name === "module" &&
+        getPropertyName(node) === "exports"
+    )
+}
+
+/**
+ * Checks whether or not a given node is `exports` or `module.exports`.
+ *
+ * @param {ASTNode} node - The node to check.
+ * @returns {boolean} `true` if the node is `exports` or `module.exports`.
+ */
+function isExportsObject(node) {
+    return (
+        (node.type === "Identifier" && node.name === "exports") ||
+        isModuleExports(node)
+    )
+}
+
+/**
+ * Gets the source node of a given node if it's an `import()` expression.
+ *
+ * - `ImportExpression` is the node of ESTree.
+ * - `CallExpression` with the `Import` callee is the node of `babel-eslint`.
+ *
+ * @param {ASTNode} node - The node to check.
+ * @returns {ASTNode|null} The source node, or `null`.
+ */
+function getDynamicImportSource(node) {
+    if (node.type === "ImportExpression") {
+        return node.source
+    }
+    if (node.type === "CallExpression" && node.callee.type === "Import") {
+        return node.arguments[0] || null
+    }
+    return null
+}
+
+module.exports = {
+    IGNORED_KEYS,
+    getDynamicImportSource,
+    isExportsObject,
+    isModuleExports,
+}
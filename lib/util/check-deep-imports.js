@@ -0,0 +1,73 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const Minimatch = require("minimatch").Minimatch
+const getAllowSubpaths = require("./get-allow-subpaths")
+const getExportsTarget = require("./get-exports-target")
+const getImportOptions = require("./get-import-options")
+const getModulePackageJson = require("./get-module-package-json")
+const isCoreModule = require("./is-core-module")
+
+/**
+ * Checks whether or not each target imports a subpath of a package which the
+ * package doesn't expose.
+ *
+ * - If the package has the `exports` field, the subpath has to be exported by
+ *   the field.
+ * - Otherwise, the module name has to match the `allowSubpaths` setting.
+ *
+ * Core modules, `#` specifiers, and missing packages are ignored.
+ *
+ * @param {RuleContext} context - A context to report.
+ * @param {ImportTarget[]} targets - A list of target information to check.
+ * @returns {void}
+ */
+module.exports = function checkDeepImports(context, targets) {
+    const options = getImportOptions(context)
+    const allowed = getAllowSubpaths(context).map(
+        pattern => new Minimatch(pattern)
+    )
+
+    for (const target of targets) {
+        const moduleName = target.moduleName
+        if (
+            moduleName == null ||
+            target.name.startsWith("#") ||
+            !target.name.startsWith(`${moduleName}/`) ||
+            isCoreModule(target.name)
+        ) {
+            continue
+        }
+
+        const info = getModulePackageJson(target, options)
+        if (info == null) {
+            continue
+        }
+
+        const subpath = `.${target.name.slice(moduleName.length)}`
+        const exportsTarget = getExportsTarget(info, subpath, target.moduleType)
+        if (exportsTarget === null) {
+            context.report({
+                node: target.node,
+                loc: target.node.loc,
+                message:
+                    '"{{subpath}}" is not exported by the "exports" field of "{{moduleName}}".',
+                data: { subpath, moduleName },
+            })
+        } else if (
+            exportsTarget === undefined &&
+            !allowed.some(pattern => pattern.match(target.name))
+        ) {
+            context.report({
+                node: target.node,
+                loc: target.node.loc,
+                message:
+                    '"{{name}}" is a deep import into "{{moduleName}}", which doesn\'t have the "exports" field.',
+                data: { name: target.name, moduleName },
+            })
+        }
+    }
+}
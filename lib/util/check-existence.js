@@ -6,6 +6,47 @@
 
 const exists = require("./exists")
 const getAllowModules = require("./get-allow-modules")
+const getSuggestions = require("./get-suggestions")
+
+/**
+ * Gets the quote character of a given specifier node if the node can be
+ * rewritten.
+ *
+ * @param {ASTNode} node - The specifier node.
+ * @returns {string|null} The quote character, or `null` if the node is not a
+ *      string literal.
+ */
+function getQuote(node) {
+    if (node.type === "Literal" && typeof node.value === "string") {
+        return node.raw[0]
+    }
+    if (node.type === "TemplateLiteral" && node.expressions.length === 0) {
+        return "`"
+    }
+    return null
+}
+
+/**
+ * Creates the ESLint suggestions which rewrite a given specifier node.
+ *
+ * @param {ASTNode} node - The specifier node.
+ * @param {string[]} specifiers - The specifiers to suggest.
+ * @returns {object[]} The suggestions.
+ */
+function createSuggestions(node, specifiers) {
+    const quote = getQuote(node)
+    if (quote == null) {
+        return []
+    }
+
+    return specifiers
+        .filter(specifier => !/[\\"'`$]/.test(specifier))
+        .map(specifier => ({
+            desc: `Replace with "${specifier}".`,
+            fix: fixer =>
+                fixer.replaceText(node, `${quote}${specifier}${quote}`),
+        }))
+}
 
 /**
  * Checks whether or not each requirement target exists.
@@ -13,6 +54,9 @@ const getAllowModules = require("./get-allow-modules")
  * It looks up the target according to the logic of Node.js.
  * See Also: https://nodejs.org/api/modules.html
  *
+ * If close names are found, this reports the closest one in the message and
+ * suggests rewriting the specifier to each.
+ *
  * @param {RuleContext} context - A context to report.
  * @param {ImportTarget[]} targets - A list of target information to check.
  * @returns {void}
@@ -26,14 +70,21 @@ module.exports = function checkForExistence(context, targets) {
             !allowed.has(target.moduleName) &&
             target.filePath == null
         const missingFile =
-            target.moduleName == null && !exists(target.filePath)
+            target.moduleName == null &&
+            (target.filePath == null || !exists(target.filePath))
 
         if (missingModule || missingFile) {
+            const suggestions = getSuggestions(context, target)
+
             context.report({
                 node: target.node,
                 loc: target.node.loc,
-                message: '"{{name}}" is not found.',
-                data: target,
+                message:
+                    suggestions.length === 0
+                        ? '"{{name}}" is not found.'
+                        : '"{{name}}" is not found. Did you mean "{{suggestion}}"?',
+                data: { name: target.name, suggestion: suggestions[0] },
+                suggest: createSuggestions(target.node, suggestions),
             })
         }
     }
@@ -4,27 +4,40 @@
  */
 "use strict"
 
+const path = require("path")
+const Minimatch = require("minimatch").Minimatch
 const getAllowModules = require("./get-allow-modules")
+const getBundledDependencies = require("./get-bundled-dependencies")
 const getPackageJson = require("./get-package-json")
+const getPnpApi = require("./get-pnp-api")
+const getWorkspace = require("./get-workspace")
+const getWorkspaceTestFiles = require("./get-workspace-test-files")
 
 /**
- * Checks whether or not each requirement target is published via package.json.
+ * Gets the names of the dependencies which the package of a given file
+ * declares.
  *
- * It reads package.json and checks the target exists in `dependencies`.
+ * If the project uses Yarn Plug'n'Play, this uses the dependencies of the
+ * package locator which contains the file.
  *
- * @param {RuleContext} context - A context to report.
  * @param {string} filePath - The current file path.
- * @param {ImportTarget[]} targets - A list of target information to check.
- * @returns {void}
+ * @returns {Set<string>|null} The names of the dependencies, or `null` if the
+ *      package was not found.
  */
-module.exports = function checkForExtraneous(context, filePath, targets) {
+function getDependencies(filePath) {
+    const pnp = getPnpApi(filePath)
+    const locator = pnp && pnp.findPackageLocator(filePath)
+    if (locator != null) {
+        return new Set(
+            pnp.getPackageInformation(locator).packageDependencies.keys()
+        )
+    }
+
     const packageInfo = getPackageJson(filePath)
     if (!packageInfo) {
-        return
+        return null
     }
-
-    const allowed = new Set(getAllowModules(context))
-    const dependencies = new Set(
+    return new Set(
         [].concat(
             Object.keys(packageInfo.dependencies || {}),
             Object.keys(packageInfo.devDependencies || {}),
@@ -32,15 +45,115 @@ module.exports = function checkForExtraneous(context, filePath, targets) {
             Object.keys(packageInfo.optionalDependencies || {})
         )
     )
+}
+
+/**
+ * Gets the information of the workspace which contains a given file.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {string} filePath - The current file path.
+ * @returns {object|null} The workspace information, or `null` if the file is
+ *      not in any workspace package.
+ *      `siblings` is the set of the names of the other workspace packages.
+ *      `rootDevDependencies` is the set of the names of the
+ *      `devDependencies` of the workspace root which the file can use.
+ */
+function getWorkspaceInfo(context, filePath) {
+    const workspace = getWorkspace(filePath)
+    const packageInfo = getPackageJson(filePath)
+    if (workspace == null || packageInfo == null) {
+        return null
+    }
+
+    const packageDir = path.dirname(packageInfo.filePath)
+    const relativePath = path
+        .relative(packageDir, path.resolve(filePath))
+        .replace(/\\/g, "/")
+    const isTestFile = getWorkspaceTestFiles(context).some(pattern =>
+        new Minimatch(pattern, { dot: true }).match(relativePath)
+    )
+    const siblings = new Set()
+    for (const [name, dir] of workspace.packages) {
+        if (dir !== packageDir) {
+            siblings.add(name)
+        }
+    }
+
+    return {
+        siblings,
+        rootDevDependencies: new Set(
+            isTestFile && packageDir !== workspace.root
+                ? Object.keys(workspace.packageJson.devDependencies || {})
+                : []
+        ),
+    }
+}
+
+/**
+ * Checks whether or not each requirement target is published via package.json.
+ *
+ * It reads package.json and checks the target exists in `dependencies`.
+ *
+ * If the file is in a workspace (the `workspaces` field of `package.json` or
+ * `pnpm-workspace.yaml`), the other workspace packages have to be written in
+ * `dependencies` as well, even if they are not resolved.
+ * The packages in `bundledDependencies` have to be written in `dependencies`
+ * as well, because npm bundles only installed packages.
+ *
+ * @param {RuleContext} context - A context to report.
+ * @param {string} filePath - The current file path.
+ * @param {ImportTarget[]} targets - A list of target information to check.
+ * @returns {void}
+ */
+module.exports = function checkForExtraneous(context, filePath, targets) {
+    const dependencies = getDependencies(filePath)
+    if (!dependencies) {
+        return
+    }
+
+    const packageInfo = getPackageJson(filePath)
+    const bundled = packageInfo
+        ? getBundledDependencies(packageInfo)
+        : new Set()
+    const packageDependencies = new Set(
+        Object.keys((packageInfo && packageInfo.dependencies) || {})
+    )
+    const allowed = new Set(getAllowModules(context))
+    const workspace = getWorkspaceInfo(context, filePath)
 
     for (const target of targets) {
-        const extraneous =
-            target.moduleName != null &&
-            target.filePath != null &&
-            !dependencies.has(target.moduleName) &&
-            !allowed.has(target.moduleName)
+        const moduleName = target.moduleName
+        if (moduleName == null || allowed.has(moduleName)) {
+            continue
+        }
 
-        if (extraneous) {
+        if (bundled.has(moduleName) && !packageDependencies.has(moduleName)) {
+            context.report({
+                node: target.node,
+                loc: target.node.loc,
+                message:
+                    '"{{moduleName}}" is in "bundledDependencies", but it is not written in "dependencies".',
+                data: target,
+            })
+            continue
+        }
+        if (dependencies.has(moduleName)) {
+            continue
+        }
+
+        if (workspace != null && workspace.siblings.has(moduleName)) {
+            context.report({
+                node: target.node,
+                loc: target.node.loc,
+                message:
+                    '"{{moduleName}}" is a workspace package, but it is not written in "package.json".',
+                data: target,
+            })
+        } else if (
+            target.filePath != null &&
+            (workspace == null ||
+                !workspace.rootDevDependencies.has(moduleName))
+        ) {
             context.report({
                 node: target.node,
                 loc: target.node.loc,
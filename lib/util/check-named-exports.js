@@ -0,0 +1,169 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const exists = require("./exists")
+const getCoreExportedNames = require("./get-core-exported-names")
+const getExportedNames = require("./get-exported-names")
+const getImportOptions = require("./get-import-options")
+const getPropertyName = require("./get-property-name")
+const isCoreModule = require("./is-core-module")
+
+/**
+ * Gets the nodes of the names which a given import target requests.
+ *
+ * - `import a, { b, c as d } from "x"` -> `default`, `b`, and `c`
+ * - `export { b, c as d } from "x"` -> `b` and `c`
+ *
+ * Type-only imports are ignored.
+ *
+ * @param {ImportTarget} target - The import target.
+ * @returns {object[]} The requested names. Each element has `name` property
+ *      and `node` property to report.
+ */
+function getImportedNames(target) {
+    const parent = target.node.parent
+    const isImport = parent.type === "ImportDeclaration"
+    if (
+        (!isImport && parent.type !== "ExportNamedDeclaration") ||
+        (parent.importKind || parent.exportKind || "value") !== "value"
+    ) {
+        return []
+    }
+
+    const retv = []
+    for (const specifier of parent.specifiers) {
+        if (
+            specifier.type === "ImportDefaultSpecifier" ||
+            specifier.type === "ExportDefaultSpecifier"
+        ) {
+            retv.push({ name: "default", node: specifier })
+        } else if (
+            (specifier.type === "ImportSpecifier" ||
+                specifier.type === "ExportSpecifier") &&
+            (specifier.importKind || "value") === "value"
+        ) {
+            const node = isImport ? specifier.imported : specifier.local
+            retv.push({ name: node.name, node })
+        }
+    }
+    return retv
+}
+
+/**
+ * Gets the nodes of the names which a given `require()` target requests.
+ *
+ * - `const { a, b: c } = require("x")` -> `a` and `b`
+ * - `({ a } = require("x"))` -> `a`
+ * - `require("x").a` -> `a`
+ *
+ * `require.resolve()` and the properties of `Object.prototype` are ignored.
+ *
+ * @param {ImportTarget} target - The import target.
+ * @returns {object[]} The requested names. Each element has `name` property
+ *      and `node` property to report.
+ */
+function getRequiredNames(target) {
+    const call = target.node.parent
+    if (
+        call.type !== "CallExpression" ||
+        call.callee.type === "MemberExpression"
+    ) {
+        return []
+    }
+
+    const parent = call.parent
+    const retv = []
+    if (parent.type === "MemberExpression" && parent.object === call) {
+        retv.push({
+            name: getPropertyName(parent),
+            node: parent.property,
+        })
+    } else if (
+        (parent.type === "VariableDeclarator" &&
+            parent.init === call &&
+            parent.id.type === "ObjectPattern") ||
+        (parent.type === "AssignmentExpression" &&
+            parent.right === call &&
+            parent.left.type === "ObjectPattern")
+    ) {
+        const pattern = parent.id || parent.left
+        for (const property of pattern.properties) {
+            if (property.type === "Property") {
+                retv.push({
+                    name: getPropertyName(property),
+                    node: property.key,
+                })
+            }
+        }
+    }
+
+    return retv.filter(
+        requested =>
+            requested.name != null && !(requested.name in Object.prototype)
+    )
+}
+
+/**
+ * Gets the names which the module of a given import target exports.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {ImportTarget} target - The import target.
+ * @param {object} options - The options to resolve modules.
+ * @returns {Set<string>|null} The exported names, or `null` if unknown.
+ */
+function getTargetExportedNames(context, target, options) {
+    if (isCoreModule(target.name)) {
+        return getCoreExportedNames(target.name)
+    }
+    if (target.filePath == null || !exists(target.filePath)) {
+        return null
+    }
+    return getExportedNames(context, target.filePath, options)
+}
+
+/**
+ * Checks whether or not the names which each import target requests are
+ * exported by the target module.
+ * The names are imported names and re-exported names for `import` targets,
+ * and destructured properties and accessed properties for `require()` targets.
+ *
+ * The target modules are parsed, then the exported names are collected.
+ * For core modules, the static table of the exported names is used.
+ * If the exported names of a module cannot be analyzed statically, the import
+ * targets of the module are ignored.
+ *
+ * @param {RuleContext} context - A context to report.
+ * @param {ImportTarget[]} targets - A list of target information to check.
+ * @returns {void}
+ */
+module.exports = function checkNamedExports(context, targets) {
+    const options = getImportOptions(context)
+
+    for (const target of targets) {
+        const requestedNames =
+            target.moduleType === "import"
+                ? getImportedNames(target)
+                : getRequiredNames(target)
+        const exportedNames =
+            requestedNames.length === 0
+                ? null
+                : getTargetExportedNames(context, target, options)
+        if (exportedNames == null) {
+            continue
+        }
+
+        for (const requested of requestedNames) {
+            if (!exportedNames.has(requested.name)) {
+                context.report({
+                    node: requested.node,
+                    loc: requested.node.loc,
+                    message: '"{{name}}" is not exported by "{{source}}".',
+                    data: { name: requested.name, source: target.name },
+                })
+            }
+        }
+    }
+}
@@ -7,13 +7,35 @@
 const path = require("path")
 const getAllowModules = require("./get-allow-modules")
 const getConvertPath = require("./get-convert-path")
+const getIgnorePrivate = require("./get-ignore-private")
 const getNpmignore = require("./get-npmignore")
 const getPackageJson = require("./get-package-json")
 
+/**
+ * Gets the names of the dependencies which are published with a given
+ * package.
+ *
+ * @param {object} packageInfo - The `package.json` data.
+ * @returns {Set<string>} The names of the dependencies.
+ */
+function getPublishedDependencies(packageInfo) {
+    return new Set(
+        [].concat(
+            Object.keys(packageInfo.dependencies || {}),
+            Object.keys(packageInfo.peerDependencies || {}),
+            Object.keys(packageInfo.optionalDependencies || {})
+        )
+    )
+}
+
 /**
  * Checks whether or not each requirement target is published via package.json.
  *
  * It reads package.json and checks the target exists in `dependencies`.
+ * The packages in `bundledDependencies` have to be written in `dependencies`,
+ * so the packages which are only in `devDependencies` are not published even
+ * if they are in `bundledDependencies`.
+ * If the `ignorePrivate` option is `true`, this ignores private packages.
  *
  * @param {RuleContext} context - A context to report.
  * @param {string} filePath - The current file path.
@@ -25,6 +47,9 @@ module.exports = function checkForPublish(context, filePath, targets) {
     if (!packageInfo) {
         return
     }
+    if (packageInfo.private === true && getIgnorePrivate(context)) {
+        return
+    }
 
     const allowed = new Set(getAllowModules(context))
     const convertPath = getConvertPath(context)
@@ -38,19 +63,14 @@ module.exports = function checkForPublish(context, filePath, targets) {
     const devDependencies = new Set(
         Object.keys(packageInfo.devDependencies || {})
     )
-    const dependencies = new Set(
-        [].concat(
-            Object.keys(packageInfo.dependencies || {}),
-            Object.keys(packageInfo.peerDependencies || {}),
-            Object.keys(packageInfo.optionalDependencies || {})
-        )
-    )
+    const dependencies = getPublishedDependencies(packageInfo)
 
     if (!npmignore.match(toRelative(filePath))) {
         // This file is published, so this cannot import private files.
         for (const target of targets) {
             const isPrivateFile =
                 target.moduleName == null &&
+                target.filePath != null &&
                 npmignore.match(toRelative(target.filePath))
             const isDevPackage =
                 target.moduleName != null &&
@@ -720,4 +720,16 @@ module.exports = {
         singular: true,
         node: null,
     },
+    nodeSchemeInImport: {
+        alias: ["runtime", "nodeScheme"],
+        name: "'node:' URL scheme in import declarations",
+        singular: true,
+        node: ">=12.20.0 <13.0.0 || >=14.13.1",
+    },
+    nodeSchemeInRequire: {
+        alias: ["runtime", "nodeScheme"],
+        name: "'node:' URL scheme in 'require()'",
+        singular: true,
+        node: ">=14.18.0 <15.0.0 || >=16.0.0",
+    },
 }
@@ -0,0 +1,46 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const DEFAULT_VALUE = Object.freeze([])
+
+/**
+ * Gets `allowSubpaths` property from a given option object.
+ *
+ * @param {object|undefined} option - An option object to get.
+ * @returns {string[]|null} The `allowSubpaths` value, or `null`.
+ */
+function get(option) {
+    if (option && option.allowSubpaths && Array.isArray(option.allowSubpaths)) {
+        return option.allowSubpaths.map(String)
+    }
+    return null
+}
+
+/**
+ * Gets "allowSubpaths" setting.
+ * Each element is a glob pattern of the module names which can be imported
+ * from packages which don't have the `exports` field.
+ *
+ * 1. This checks `options` property, then returns it if exists.
+ * 2. This checks `settings.node` property, then returns it if exists.
+ * 3. This returns `[]`.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @returns {string[]} A list of glob patterns.
+ */
+module.exports = function getAllowSubpaths(context) {
+    return (
+        get(context.options && context.options[0]) ||
+        get(context.settings && context.settings.node) ||
+        DEFAULT_VALUE
+    )
+}
+
+module.exports.schema = {
+    type: "array",
+    items: { type: "string", minLength: 1 },
+    uniqueItems: true,
+}
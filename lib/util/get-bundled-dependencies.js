@@ -0,0 +1,29 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+/**
+ * Gets the names of the bundled dependencies of a given `package.json`.
+ *
+ * npm accepts both `bundledDependencies` and `bundleDependencies`.
+ * If the value is `true`, all of `dependencies` are bundled.
+ *
+ * @param {object} packageInfo - The `package.json` data.
+ * @returns {Set<string>} The names of the bundled dependencies.
+ */
+module.exports = function getBundledDependencies(packageInfo) {
+    const value =
+        packageInfo.bundledDependencies != null
+            ? packageInfo.bundledDependencies
+            : packageInfo.bundleDependencies
+
+    if (value === true) {
+        return new Set(Object.keys(packageInfo.dependencies || {}))
+    }
+    if (Array.isArray(value)) {
+        return new Set(value.filter(name => typeof name === "string"))
+    }
+    return new Set()
+}
@@ -0,0 +1,338 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const {
+    IGNORED_KEYS,
+    isExportsObject,
+    isModuleExports,
+} = require("./ast-utils")
+const Cache = require("./cache")
+const exists = require("./exists")
+const getModuleType = require("./get-module-type")
+const getPropertyName = require("./get-property-name")
+const getValueIfString = require("./get-value-if-string")
+const ImportTarget = require("./import-target")
+const parseFile = require("./parse-file")
+
+const EXPORT_STAR_FUNCTIONS = new Set(["__export", "__exportStar"])
+const cache = new Cache()
+
+/**
+ * Checks whether or not a given file is a CommonJS module.
+ * `.js` files are CommonJS modules unless the module type is specified.
+ *
+ * @param {string} filePath - The path to the file to check.
+ * @returns {boolean} `true` if the file is a CommonJS module.
+ */
+function isCommonJs(filePath) {
+    const type = getModuleType(filePath)
+    return (
+        type === "commonjs" ||
+        (type == null && path.extname(filePath) === ".js")
+    )
+}
+
+/**
+ * Iterates all nodes in a given AST.
+ *
+ * @param {ASTNode} root - The root node.
+ * @returns {IterableIterator<ASTNode>} The nodes.
+ */
+function* iterateNodes(root) {
+    const stack = [root]
+
+    while (stack.length !== 0) {
+        const node = stack.pop()
+        yield node
+
+        for (const key of Object.keys(node)) {
+            if (IGNORED_KEYS.has(key)) {
+                continue
+            }
+            for (const child of [].concat(node[key])) {
+                if (child && typeof child.type === "string") {
+                    stack.push(child)
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Gets the source node of a given node if it's `require("...")`.
+ *
+ * @param {ASTNode|undefined} node - The node to check.
+ * @returns {ASTNode|null} The source node, or `null`.
+ */
+function getRequireSource(node) {
+    if (
+        node != null &&
+        node.type === "CallExpression" &&
+        node.callee.type === "Identifier" &&
+        node.callee.name === "require" &&
+        getValueIfString(node.arguments[0]) != null
+    ) {
+        return node.arguments[0]
+    }
+    return null
+}
+
+/**
+ * Gets the name of the function which a given call expression calls.
+ *
+ * @param {ASTNode} node - The `CallExpression` node.
+ * @returns {string|null} The function name, or `null`.
+ */
+function getCalleeName(node) {
+    const callee = node.callee
+    if (callee.type === "Identifier") {
+        return callee.name
+    }
+    if (callee.type === "MemberExpression") {
+        return getPropertyName(callee)
+    }
+    return null
+}
+
+/**
+ * Collects the names of the properties of `module.exports = { ... }`.
+ * As the same as `cjs-module-lexer`, this stops at the first property whose
+ * value is not an identifier.
+ *
+ * @param {ASTNode} node - The `ObjectExpression` node.
+ * @param {Set<string>} names - The set to add the names.
+ * @param {ASTNode[]} reexports - The array to add the sources of
+ *      `...require("x")`.
+ * @returns {void}
+ */
+function collectObjectNames(node, names, reexports) {
+    for (const property of node.properties) {
+        if (property.type !== "Property") {
+            const source = getRequireSource(property.argument)
+            if (source != null) {
+                reexports.push(source)
+            }
+            continue
+        }
+
+        const name = getPropertyName(property)
+        if (name == null) {
+            return
+        }
+        names.add(name)
+        if (property.value.type !== "Identifier") {
+            return
+        }
+    }
+}
+
+/**
+ * Collects the names which a given assignment exports.
+ *
+ * - `exports.name = value`
+ * - `module.exports.name = value`
+ * - `module.exports = { name, name: value }`
+ * - `module.exports = require("x")`
+ *
+ * @param {ASTNode} node - The `AssignmentExpression` node.
+ * @param {Set<string>} names - The set to add the names.
+ * @param {ASTNode[]} reexports - The array to add the sources of re-exported
+ *      modules.
+ * @returns {void}
+ */
+function collectAssignmentNames(node, names, reexports) {
+    const left = node.left
+    const source = getRequireSource(node.right)
+    const name =
+        left.type === "MemberExpression" && isExportsObject(left.object)
+            ? getPropertyName(left)
+            : null
+
+    if (name != null) {
+        names.add(name)
+    } else if (isModuleExports(left) && source != null) {
+        reexports.push(source)
+    } else if (
+        isModuleExports(left) &&
+        node.right.type === "ObjectExpression"
+    ) {
+        collectObjectNames(node.right, names, reexports)
+    }
+}
+
+/**
+ * Collects the names which a given call exports.
+ *
+ * - `Object.defineProperty(exports, "name", descriptor)`
+ * - `__exportStar(require("x"), exports)` (TypeScript)
+ *
+ * @param {ASTNode} node - The `CallExpression` node.
+ * @param {Set<string>} names - The set to add the names.
+ * @param {ASTNode[]} reexports - The array to add the sources of re-exported
+ *      modules.
+ * @returns {void}
+ */
+function collectCallNames(node, names, reexports) {
+    const calleeName = getCalleeName(node)
+    const source = getRequireSource(node.arguments[0])
+    const name =
+        calleeName === "defineProperty" &&
+        node.arguments.length >= 2 &&
+        isExportsObject(node.arguments[0])
+            ? getValueIfString(node.arguments[1])
+            : null
+
+    if (name != null) {
+        names.add(name)
+    } else if (EXPORT_STAR_FUNCTIONS.has(calleeName) && source != null) {
+        reexports.push(source)
+    }
+}
+
+/**
+ * Gets the names which the modules of given `require()` sources export.
+ * `default` is excluded.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {string} filePath - The path to the module which re-exports.
+ * @param {ASTNode[]} reexports - The sources of the re-exported modules.
+ * @param {object} options - The options to resolve the re-exported modules.
+ * @param {object} state - The state of the traversal. See `getNames`.
+ * @returns {string[]} The re-exported names.
+ */
+function getReexportedNames(context, filePath, reexports, options, state) {
+    const targetOptions = Object.assign({}, options, {
+        basedir: path.dirname(filePath),
+    })
+    const retv = []
+
+    for (const node of reexports) {
+        const target = new ImportTarget(
+            node,
+            getValueIfString(node),
+            targetOptions,
+            "require"
+        )
+        const names =
+            target.filePath && exists(target.filePath)
+                ? getNames(context, target.filePath, options, state)
+                : null
+        for (const name of names || []) {
+            if (name !== "default") {
+                retv.push(name)
+            }
+        }
+    }
+
+    return retv
+}
+
+/**
+ * Collects the names which a given CommonJS module exports for ES modules.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {string} filePath - The path to the module.
+ * @param {object} options - The options to resolve the re-exported modules.
+ * @param {object} state - The state of the traversal. See `getNames`.
+ * @returns {Set<string>|null} The exported names, or `null`.
+ */
+function collectNames(context, filePath, options, state) {
+    const ast = isCommonJs(filePath) ? parseFile(context, filePath) : null
+    if (ast == null) {
+        return null
+    }
+
+    const names = new Set(["default"])
+    const reexports = []
+    for (const node of iterateNodes(ast)) {
+        if (node.type === "AssignmentExpression" && node.operator === "=") {
+            collectAssignmentNames(node, names, reexports)
+        } else if (node.type === "CallExpression") {
+            collectCallNames(node, names, reexports)
+        }
+    }
+    for (const name of getReexportedNames(
+        context,
+        filePath,
+        reexports,
+        options,
+        state
+    )) {
+        names.add(name)
+    }
+
+    return names
+}
+
+/**
+ * Gets the names which a given CommonJS module exports for ES modules.
+ *
+ * Circular re-exports are ignored. In that case, the names of the modules in
+ * the cycle are incomplete until the traversal returns to the module which
+ * the cycle reached, so those are not cached.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {string} filePath - The path to the module.
+ * @param {object} options - The options to resolve the re-exported modules.
+ * @param {object} state - The state of the traversal. `stack` is the paths of
+ *      the modules which are re-exporting the module. `cycleIndex` is the
+ *      smallest index of `stack` which circular re-exports reached.
+ * @returns {Set<string>|null} The exported names, or `null`.
+ */
+function getNames(context, filePath, options, state) {
+    const index = state.stack.indexOf(filePath)
+    if (index !== -1) {
+        state.cycleIndex = Math.min(state.cycleIndex, index)
+        return new Set()
+    }
+
+    const cached = cache.get(filePath)
+    if (cached != null) {
+        return cached || null
+    }
+
+    const depth = state.stack.length
+    const outerCycleIndex = state.cycleIndex
+    state.stack.push(filePath)
+    state.cycleIndex = Infinity
+
+    const names = collectNames(context, filePath, options, state) || false
+    if (state.cycleIndex >= depth) {
+        cache.set(filePath, names)
+    }
+
+    state.stack.pop()
+    state.cycleIndex = Math.min(outerCycleIndex, state.cycleIndex)
+    return names || null
+}
+
+/**
+ * Gets the names which a given CommonJS module exports for ES modules.
+ *
+ * Node.js detects the named exports of CommonJS modules with
+ * `cjs-module-lexer`, so ES modules can import only the names which are
+ * assigned in the syntax which the lexer recognizes.
+ * This collects the names in the same way as the lexer. `default` is always
+ * exported.
+ *
+ * The exported names are cached per file.
+ *
+ * See Also: https://github.com/nodejs/cjs-module-lexer
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {string} filePath - The path to the module.
+ * @param {object} options - The options to resolve the modules which the
+ *      module re-exports.
+ * @returns {Set<string>|null} The exported names, or `null` if the module is
+ *      not a CommonJS module or it cannot be parsed.
+ */
+module.exports = function getCommonJsNamedExports(context, filePath, options) {
+    return getNames(context, filePath, options, {
+        stack: [],
+        cycleIndex: Infinity,
+    })
+}
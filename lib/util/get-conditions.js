@@ -0,0 +1,16 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+/**
+ * Gets the active conditions of the `exports`/`imports` field of
+ * `package.json` for a given module type.
+ *
+ * @param {"import"|"require"} moduleType - The type of the import target.
+ * @returns {Set<string>} The active conditions.
+ */
+module.exports = function getConditions(moduleType) {
+    return new Set(["node", moduleType === "import" ? "import" : "require"])
+}
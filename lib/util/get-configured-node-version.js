@@ -0,0 +1,71 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const semver = require("semver")
+const getPackageJson = require("./get-package-json")
+
+const DEFAULT_VERSION = ">=4.0.0"
+const VERSION_NUMBER = /^\d+(?:\.\d+){0,2}$/
+
+/**
+ * Gets `version` property from a given option object.
+ *
+ * @param {object|undefined} option - An option object to get.
+ * @returns {string|null} The `version` value, or `null`.
+ */
+function get(option) {
+    if (option && typeof option.version === "string") {
+        return option.version
+    }
+    return null
+}
+
+/**
+ * Converts a given version to a semver range.
+ * A version number (e.g. `"6"`, `"6.5.0"`) means the version or later.
+ *
+ * @param {string} version - The version or the semver range.
+ * @returns {string|null} The semver range, or `null` if it's invalid.
+ */
+function toRange(version) {
+    return semver.validRange(
+        VERSION_NUMBER.test(version) ? `>=${version}` : version
+    )
+}
+
+/**
+ * Gets the range of Node.js versions which the current file supports.
+ *
+ * 1. This checks a given version, then returns it if exists.
+ *    It's for the rules which parse their options in other ways.
+ * 2. This checks the `version` of `options`, then returns it if exists.
+ * 3. This checks the `version` of `settings.node`, then returns it if exists.
+ * 4. This finds and reads `package.json` file, then returns the
+ *    `engines.node` field if exists.
+ * 5. This returns `">=4.0.0"`.
+ *
+ * The versions of 1 to 3 are a semver range or a version number.
+ * A version number (e.g. `"6.0.0"`) means the version or later.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {string} [version] - The version which the rule parsed.
+ * @returns {string} The semver range of Node.js versions.
+ */
+module.exports = function getConfiguredNodeVersion(context, version) {
+    const configured =
+        version ||
+        get(context.options && context.options[0]) ||
+        get(context.settings && context.settings.node)
+    if (configured) {
+        return toRange(configured) || DEFAULT_VERSION
+    }
+
+    const info = getPackageJson(context.getFilename())
+    const engine = info && info.engines && info.engines.node
+    return semver.validRange(engine) || DEFAULT_VERSION
+}
+
+module.exports.schema = { type: "string" }
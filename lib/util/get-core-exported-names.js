@@ -0,0 +1,36 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const stripNodeScheme = require("./strip-node-scheme")
+const coreExportedNames = require("./core-exported-names.json")
+
+const has = Function.call.bind(Object.hasOwnProperty)
+const cache = new Map()
+
+/**
+ * Gets the names which a given core module exports.
+ *
+ * The names come from the static table `core-exported-names.json`, which has
+ * the own properties of the core modules on Node.js 10 to 22. Each list is
+ * the union of the names on those versions, so the result doesn't depend on
+ * the Node.js which runs ESLint.
+ * The table has only the modules which don't have side effects on loading,
+ * so other modules (e.g. `domain`, `punycode`, `node:test`) are unknown.
+ *
+ * @param {string} name - The name of the core module. E.g. `fs`, `node:fs`.
+ * @returns {Set<string>|null} The exported names, or `null` if unknown.
+ */
+module.exports = function getCoreExportedNames(name) {
+    const id = stripNodeScheme(name)
+    if (!has(coreExportedNames, id)) {
+        return null
+    }
+
+    if (!cache.has(id)) {
+        cache.set(id, new Set(coreExportedNames[id]))
+    }
+    return cache.get(id)
+}
@@ -0,0 +1,354 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const {
+    IGNORED_KEYS,
+    isExportsObject,
+    isModuleExports,
+} = require("./ast-utils")
+const Cache = require("./cache")
+const getModuleType = require("./get-module-type")
+const getPropertyName = require("./get-property-name")
+const getValueIfString = require("./get-value-if-string")
+const ImportTarget = require("./import-target")
+const isCoreModule = require("./is-core-module")
+const parseFile = require("./parse-file")
+
+const IGNORED_EXTENSIONS = new Set([".json", ".node"])
+const cache = new Cache()
+
+/**
+ * Counts the references of `exports` and `module.exports` in a given node.
+ *
+ * @param {ASTNode} root - The node to count.
+ * @returns {number} The number of the references.
+ */
+function countExportsReferences(root) {
+    const stack = [root]
+    let count = 0
+
+    while (stack.length !== 0) {
+        const node = stack.pop()
+        if (isExportsObject(node)) {
+            count += 1
+            continue
+        }
+
+        for (const key of Object.keys(node)) {
+            const child = node[key]
+            const isStaticName =
+                !node.computed &&
+                ((key === "property" && node.type === "MemberExpression") ||
+                    (key === "key" && !node.shorthand))
+
+            if (IGNORED_KEYS.has(key) || isStaticName) {
+                continue
+            }
+            for (const value of [].concat(child)) {
+                if (value && typeof value.type === "string") {
+                    stack.push(value)
+                }
+            }
+        }
+    }
+
+    return count
+}
+
+/**
+ * Adds the names which a given pattern declares.
+ *
+ * @param {ASTNode|null} node - The pattern node.
+ * @param {Set<string>} names - The set to add.
+ * @returns {void}
+ */
+function addPatternNames(node, names) {
+    if (node == null) {
+        return
+    }
+    switch (node.type) {
+        case "Identifier":
+            names.add(node.name)
+            break
+        case "ObjectPattern":
+            for (const property of node.properties) {
+                addPatternNames(property.value || property.argument, names)
+            }
+            break
+        case "ArrayPattern":
+            for (const element of node.elements) {
+                addPatternNames(element, names)
+            }
+            break
+        case "RestElement":
+        case "ExperimentalRestProperty":
+            addPatternNames(node.argument, names)
+            break
+        case "AssignmentPattern":
+            addPatternNames(node.left, names)
+            break
+
+        // no default
+    }
+}
+
+/**
+ * Adds the names which an `export` declaration exports.
+ * `export * from "..."` declarations are not handled.
+ *
+ * @param {ASTNode} node - The `export` declaration node.
+ * @param {Set<string>} names - The set to add.
+ * @returns {void}
+ */
+function addExportedNames(node, names) {
+    if (node.type === "ExportDefaultDeclaration") {
+        names.add("default")
+        return
+    }
+
+    const declaration = node.declaration
+    if (declaration != null && declaration.type === "VariableDeclaration") {
+        for (const declarator of declaration.declarations) {
+            addPatternNames(declarator.id, names)
+        }
+    } else if (declaration != null && declaration.id != null) {
+        names.add(declaration.id.name)
+    }
+    for (const specifier of node.specifiers || []) {
+        names.add(specifier.exported.name)
+    }
+}
+
+/**
+ * Gets the names which a given top-level expression exports in CommonJS.
+ * This handles the following expressions:
+ *
+ * - `exports.name = value`
+ * - `module.exports.name = value`
+ * - `module.exports = { name: value }`
+ * - `Object.defineProperty(exports, "name", descriptor)`
+ *
+ * @param {ASTNode} node - The expression node.
+ * @returns {(string|null)[]|null} The exported names, or `null` if the
+ *      expression is not one of the above. If a name is not static, the
+ *      element is `null`.
+ */
+function getCommonJsNames(node) {
+    if (node.type === "AssignmentExpression" && node.operator === "=") {
+        const left = node.left
+        if (left.type === "MemberExpression" && isExportsObject(left.object)) {
+            return [getPropertyName(left)]
+        }
+        if (isModuleExports(left) && node.right.type === "ObjectExpression") {
+            return node.right.properties.map(
+                property =>
+                    property.type === "Property"
+                        ? getPropertyName(property)
+                        : null
+            )
+        }
+        return null
+    }
+
+    if (
+        node.type === "CallExpression" &&
+        node.callee.type === "MemberExpression" &&
+        node.callee.object.type === "Identifier" &&
+        node.callee.object.name === "Object" &&
+        getPropertyName(node.callee) === "defineProperty" &&
+        node.arguments.length >= 2 &&
+        isExportsObject(node.arguments[0])
+    ) {
+        return [getValueIfString(node.arguments[1])]
+    }
+    return null
+}
+
+/**
+ * Collects the names which a given CommonJS module exports.
+ * This handles the top-level statements which `getCommonJsNames` handles.
+ * If `exports` or `module.exports` is used in any other way, the names cannot
+ * be analyzed.
+ *
+ * @param {ASTNode} ast - The AST of the module.
+ * @returns {Set<string>|null} The exported names, or `null` if unknown.
+ */
+function collectCommonJsNames(ast) {
+    const names = new Set(["default"])
+    let count = 0
+
+    for (const statement of ast.body) {
+        const statementNames =
+            statement.type === "ExpressionStatement"
+                ? getCommonJsNames(statement.expression)
+                : null
+        if (statementNames == null) {
+            continue
+        }
+        if (statementNames.indexOf(null) !== -1) {
+            return null
+        }
+        for (const name of statementNames) {
+            names.add(name)
+        }
+        count += 1
+    }
+
+    return countExportsReferences(ast) === count ? names : null
+}
+
+/**
+ * Collects the names which a given ES module exports.
+ * The names of `export * from "..."` declarations are collected from the
+ * target modules.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {ASTNode} ast - The AST of the module.
+ * @param {string} filePath - The path to the module.
+ * @param {object} options - The options to resolve the target modules.
+ * @param {object} state - The state of the traversal. See `getNames`.
+ * @returns {Set<string>|null} The exported names, or `null` if unknown.
+ */
+function collectModuleNames(context, ast, filePath, options, state) {
+    const names = new Set()
+    const targetOptions = Object.assign({}, options, {
+        basedir: path.dirname(filePath),
+    })
+
+    for (const node of ast.body) {
+        if (node.type !== "ExportAllDeclaration") {
+            if (/^Export(?:Named|Default)Declaration$/.test(node.type)) {
+                addExportedNames(node, names)
+            }
+            continue
+        }
+        if (node.exported != null) {
+            names.add(node.exported.name)
+            continue
+        }
+
+        const name = node.source.value
+        const target = isCoreModule(name)
+            ? null
+            : new ImportTarget(node.source, name, targetOptions, "import")
+        const targetNames =
+            target && target.filePath
+                ? getNames(context, target.filePath, options, state)
+                : null
+        if (targetNames == null) {
+            return null
+        }
+        for (const targetName of targetNames) {
+            if (targetName !== "default") {
+                names.add(targetName)
+            }
+        }
+    }
+
+    return names
+}
+
+/**
+ * Collects the names which a given module exports.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {string} filePath - The path to the module.
+ * @param {object} options - The options to resolve the modules.
+ * @param {object} state - The state of the traversal. See `getNames`.
+ * @returns {Set<string>|null} The exported names, or `null` if unknown.
+ */
+function collectNames(context, filePath, options, state) {
+    const ast = IGNORED_EXTENSIONS.has(path.extname(filePath))
+        ? null
+        : parseFile(context, filePath)
+    if (ast == null) {
+        return null
+    }
+
+    const type = getModuleType(filePath)
+    const isModule =
+        type === "module" ||
+        (type == null &&
+            ast.body.some(node =>
+                /^(?:Import|Export(?:Named|Default|All))Declaration$/.test(
+                    node.type
+                )
+            ))
+
+    return isModule
+        ? collectModuleNames(context, ast, filePath, options, state)
+        : collectCommonJsNames(ast)
+}
+
+/**
+ * Gets the names which a given module exports.
+ *
+ * Circular `export *` is ignored. In that case, the names of the modules in
+ * the cycle are incomplete until the traversal returns to the module which
+ * the cycle reached, so those are not cached.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {string} filePath - The path to the module.
+ * @param {object} options - The options to resolve the modules.
+ * @param {object} state - The state of the traversal. `stack` is the paths of
+ *      the modules which are re-exporting the module. `cycleIndex` is the
+ *      smallest index of `stack` which circular `export *` reached.
+ * @returns {Set<string>|null} The exported names, or `null` if unknown.
+ */
+function getNames(context, filePath, options, state) {
+    const index = state.stack.indexOf(filePath)
+    if (index !== -1) {
+        state.cycleIndex = Math.min(state.cycleIndex, index)
+        return new Set()
+    }
+
+    const cached = cache.get(filePath)
+    if (cached != null) {
+        return cached || null
+    }
+
+    const depth = state.stack.length
+    const outerCycleIndex = state.cycleIndex
+    state.stack.push(filePath)
+    state.cycleIndex = Infinity
+
+    const names = collectNames(context, filePath, options, state) || false
+    if (state.cycleIndex >= depth) {
+        cache.set(filePath, names)
+    }
+
+    state.stack.pop()
+    state.cycleIndex = Math.min(outerCycleIndex, state.cycleIndex)
+    return names || null
+}
+
+/**
+ * Gets the names which a given module exports.
+ *
+ * - For ES modules, this collects the names of `export` declarations.
+ * - For CommonJS modules, this collects the properties which are assigned to
+ *   `exports` or `module.exports` statically. `default` is always exported.
+ *
+ * The module type follows the extension and the `type` field of
+ * `package.json`. If it's not specified, files which have `import` or `export`
+ * declarations are ES modules.
+ *
+ * The exported names are cached per file.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {string} filePath - The path to the module.
+ * @param {object} options - The options to resolve the modules which the
+ *      module re-exports.
+ * @returns {Set<string>|null} The exported names, or `null` if it cannot
+ *      analyze the module.
+ */
+module.exports = function getExportedNames(context, filePath, options) {
+    return getNames(context, filePath, options, {
+        stack: [],
+        cycleIndex: Infinity,
+    })
+}
@@ -0,0 +1,57 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const getConditions = require("./get-conditions")
+const resolvePackageMap = require("./resolve-package-map")
+
+/**
+ * Normalizes the `exports` field of `package.json`.
+ * The shorthand forms (e.g. `"exports": "./main.js"`) are converted to the
+ * object form which has the `"."` key.
+ *
+ * @param {any} exportsField - The value of the `exports` field.
+ * @returns {object} The normalized map.
+ */
+function normalizeExports(exportsField) {
+    if (
+        typeof exportsField === "string" ||
+        Array.isArray(exportsField) ||
+        Object.keys(exportsField).every(key => !key.startsWith("."))
+    ) {
+        return { ".": exportsField }
+    }
+    return exportsField
+}
+
+/**
+ * Gets the target of a given subpath from the `exports` field of
+ * `package.json`.
+ *
+ * e.g. `getExportsTarget({exports: {"./a": "./lib/a.js"}}, "./a", "import")` -> `./lib/a.js`
+ *
+ * @param {object} packageInfo - The data of `package.json`.
+ * @param {string} subpath - The subpath to get. E.g. `"."`, `"./feature"`.
+ * @param {"import"|"require"} moduleType - The type of the import target.
+ *      This determines the conditions.
+ * @returns {string|null|undefined} The relative path of the target.
+ *      `null` means the subpath is not exported.
+ *      `undefined` means the package does not have the `exports` field.
+ */
+module.exports = function getExportsTarget(packageInfo, subpath, moduleType) {
+    if (packageInfo.exports == null) {
+        return undefined
+    }
+
+    const target = resolvePackageMap(
+        normalizeExports(packageInfo.exports),
+        subpath,
+        getConditions(moduleType)
+    )
+    if (target == null || !target.startsWith("./")) {
+        return null
+    }
+    return target
+}
@@ -0,0 +1,46 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const DEFAULT_VALUE = false
+
+/**
+ * Gets `ignorePrivate` property from a given option object.
+ *
+ * @param {object|undefined} option - An option object to get.
+ * @returns {boolean|null} The `ignorePrivate` value, or `null`.
+ */
+function get(option) {
+    if (option && typeof option.ignorePrivate === "boolean") {
+        return option.ignorePrivate
+    }
+    return null
+}
+
+/**
+ * Gets "ignorePrivate" setting.
+ *
+ * 1. This checks `options` property, then returns it if exists.
+ * 2. This checks `settings.node` property, then returns it if exists.
+ * 3. This returns `false`.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @returns {boolean} `true` if the rule should ignore private packages.
+ */
+module.exports = function getIgnorePrivate(context) {
+    const optionValue = get(context.options && context.options[0])
+    if (optionValue != null) {
+        return optionValue
+    }
+
+    const settingValue = get(context.settings && context.settings.node)
+    if (settingValue != null) {
+        return settingValue
+    }
+
+    return DEFAULT_VALUE
+}
+
+module.exports.schema = { type: "boolean" }
@@ -4,19 +4,72 @@
  */
 "use strict"
 
-const path = require("path")
-const resolve = require("resolve")
-const getResolvePaths = require("./get-resolve-paths")
-const getTryExtensions = require("./get-try-extensions")
+const { IGNORED_KEYS, getDynamicImportSource } = require("./ast-utils")
+const getImportOptions = require("./get-import-options")
+const getValueIfString = require("./get-value-if-string")
 const ImportTarget = require("./import-target")
+const isCoreModule = require("./is-core-module")
 const stripImportPathParams = require("./strip-import-path-params")
 
 const MODULE_TYPE = /^(?:Import|Export(?:Named|Default|All))Declaration$/
 
 /**
- * Gets a list of `import`/`export` declaration targets.
+ * Gets the keys of a given node to traverse.
+ * If the node type is unknown, this returns the keys which may have child
+ * nodes.
  *
- * Core modules of Node.js (e.g. `fs`, `http`) are excluded.
+ * @param {ASTNode} node - The node to get.
+ * @param {object} visitorKeys - The visitor keys of the current parser.
+ * @returns {string[]} The keys to traverse.
+ */
+function getVisitorKeys(node, visitorKeys) {
+    return (
+        visitorKeys[node.type] ||
+        Object.keys(node).filter(
+            key => !IGNORED_KEYS.has(key) && !key.startsWith("_")
+        )
+    )
+}
+
+/**
+ * Iterates the source nodes of `import()` expressions in a given node.
+ *
+ * @param {ASTNode} root - The node to traverse.
+ * @param {object} visitorKeys - The visitor keys of the current parser.
+ * @returns {IterableIterator<ASTNode>} The source nodes.
+ */
+function* iterateDynamicImportSources(root, visitorKeys) {
+    const stack = [root]
+
+    while (stack.length !== 0) {
+        const node = stack.pop()
+        const source = getDynamicImportSource(node)
+        if (source != null) {
+            yield source
+        }
+
+        for (const key of getVisitorKeys(node, visitorKeys)) {
+            const child = node[key]
+
+            if (Array.isArray(child)) {
+                for (let i = child.length - 1; i >= 0; --i) {
+                    if (child[i] && typeof child[i].type === "string") {
+                        stack.push(child[i])
+                    }
+                }
+            } else if (child && typeof child.type === "string") {
+                stack.push(child)
+            }
+        }
+    }
+}
+
+/**
+ * Gets a list of `import`/`export` declaration targets and `import()`
+ * expression targets.
+ *
+ * Core modules of Node.js (e.g. `fs`, `node:http`) are excluded.
+ * `import()` expressions which have a non-string argument are ignored.
  *
  * @param {RuleContext} context - The rule context.
  * @param {ASTNode} programNode - The node of Program.
@@ -29,10 +82,8 @@ module.exports = function getImportExportTargets(
     includeCore
 ) {
     const retv = []
-    const basedir = path.dirname(path.resolve(context.getFilename()))
-    const paths = getResolvePaths(context)
-    const extensions = getTryExtensions(context)
-    const options = { basedir, paths, extensions }
+    const options = getImportOptions(context)
+    const visitorKeys = context.getSourceCode().visitorKeys
 
     for (const statement of programNode.body) {
         // Skip if it's not a module declaration.
@@ -43,8 +94,16 @@ module.exports = function getImportExportTargets(
         // Gets the target module.
         const node = statement.source
         const name = node && stripImportPathParams(node.value)
-        if (name && (includeCore || !resolve.isCore(name))) {
-            retv.push(new ImportTarget(node, name, options))
+        if (name && (includeCore || !isCoreModule(name))) {
+            retv.push(new ImportTarget(node, name, options, "import"))
+        }
+    }
+
+    for (const node of iterateDynamicImportSources(programNode, visitorKeys)) {
+        const rawName = getValueIfString(node)
+        const name = rawName && stripImportPathParams(rawName)
+        if (name && (includeCore || !isCoreModule(name))) {
+            retv.push(new ImportTarget(node, name, options, "import"))
         }
     }
 
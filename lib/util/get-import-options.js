@@ -0,0 +1,37 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const getPnpApi = require("./get-pnp-api")
+const getResolvePaths = require("./get-resolve-paths")
+const getResolver = require("./get-resolver")
+const getTryExtensions = require("./get-try-extensions")
+const getTypeScriptConfig = require("./get-typescript-config")
+
+/**
+ * Gets the options to resolve the import targets of the current file.
+ * The options are given to the constructor of `ImportTarget`.
+ *
+ * - `basedir` is the directory of the current file.
+ * - `paths` is the `resolvePaths` setting.
+ * - `extensions` is the `tryExtensions` setting.
+ * - `typescript` is the resolution options of `tsconfig.json`.
+ * - `resolver` is the `resolver` setting or the API of Yarn Plug'n'Play.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @returns {object} The options.
+ */
+module.exports = function getImportOptions(context) {
+    const filePath = path.resolve(context.getFilename())
+
+    return {
+        basedir: path.dirname(filePath),
+        paths: getResolvePaths(context),
+        extensions: getTryExtensions(context),
+        typescript: getTypeScriptConfig(context),
+        resolver: getResolver(context) || getPnpApi(filePath),
+    }
+}
@@ -0,0 +1,33 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const getPropertyName = require("./get-property-name")
+
+/**
+ * Gets the last property which has a given name in a given JSON object node.
+ * The last property is used if the name is duplicate, as the same as
+ * `JSON.parse()`.
+ *
+ * @param {ASTNode|null} objectNode - The `ObjectExpression` node.
+ * @param {string} name - The property name to get.
+ * @returns {ASTNode|null} The `Property` node, or `null` if not found.
+ */
+module.exports = function getJsonProperty(objectNode, name) {
+    if (objectNode == null || objectNode.type !== "ObjectExpression") {
+        return null
+    }
+
+    let retv = null
+    for (const property of objectNode.properties) {
+        if (
+            property.type === "Property" &&
+            getPropertyName(property) === name
+        ) {
+            retv = property
+        }
+    }
+    return retv
+}
@@ -0,0 +1,38 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const resolve = require("resolve")
+const getPackageJson = require("./get-package-json")
+
+/**
+ * Gets the `package.json` data of the package of a given import target.
+ *
+ * If the package cannot be resolved from the current file (e.g. Yarn
+ * Plug'n'Play), this looks up the `package.json` from the resolved file.
+ *
+ * @param {ImportTarget} target - The import target.
+ * @param {object} options - The options to resolve the package.
+ * @returns {object|null} The `package.json` data, or `null` if not found.
+ */
+module.exports = function getModulePackageJson(target, options) {
+    try {
+        return getPackageJson(
+            resolve.sync(`${target.moduleName}/package.json`, {
+                basedir: options.basedir,
+                paths: options.paths,
+            })
+        )
+    } catch (_err) {
+        // Look up from the resolved file.
+    }
+
+    let info = target.filePath ? getPackageJson(target.filePath) : null
+    while (info != null && info.name !== target.moduleName) {
+        info = getPackageJson(path.dirname(info.filePath))
+    }
+    return info
+}
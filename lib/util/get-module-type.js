@@ -0,0 +1,45 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const getPackageJson = require("./get-package-json")
+
+const MODULE_EXTENSIONS = new Set([".mjs", ".mts"])
+const COMMONJS_EXTENSIONS = new Set([".cjs", ".cts"])
+const PACKAGE_TYPE_EXTENSIONS = new Set([".js", ".jsx", ".ts", ".tsx"])
+
+/**
+ * Gets the module type of a given file in the same way as Node.js.
+ *
+ * - `.mjs` and `.mts` files are ES modules.
+ * - `.cjs` and `.cts` files are CommonJS modules.
+ * - `.js`, `.jsx`, `.ts`, and `.tsx` files follow the `type` field of the
+ *   nearest `package.json`.
+ *
+ * If the type is not specified, this returns `null`.
+ * Node.js treats such `.js` files as CommonJS modules, but transpiled
+ * projects write ES modules in them.
+ *
+ * @param {string} filePath - The path to the file.
+ * @returns {"module"|"commonjs"|null} The module type, or `null` if the type
+ *      is not specified.
+ */
+module.exports = function getModuleType(filePath) {
+    const ext = path.extname(filePath)
+    if (MODULE_EXTENSIONS.has(ext)) {
+        return "module"
+    }
+    if (COMMONJS_EXTENSIONS.has(ext)) {
+        return "commonjs"
+    }
+    if (!PACKAGE_TYPE_EXTENSIONS.has(ext)) {
+        return null
+    }
+
+    const info = getPackageJson(filePath)
+    const type = info && info.type
+    return type === "module" || type === "commonjs" ? type : null
+}
@@ -0,0 +1,29 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+
+/**
+ * Gets the root object node of `package.json` which the `package-json`
+ * processor converted.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {ASTNode} programNode - The node of Program.
+ * @returns {ASTNode|null} The `ObjectExpression` node, or `null` if the
+ *      current file is not `package.json`.
+ */
+module.exports = function getPackageJsonNode(context, programNode) {
+    const statement = programNode.body[0]
+    if (
+        path.basename(context.getFilename()) !== "package.json" ||
+        programNode.body.length !== 1 ||
+        statement.type !== "ExpressionStatement" ||
+        statement.expression.type !== "ObjectExpression"
+    ) {
+        return null
+    }
+    return statement.expression
+}
@@ -0,0 +1,387 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const fs = require("fs")
+const path = require("path")
+const vm = require("vm")
+const resolve = require("resolve")
+const Cache = require("./cache")
+const exists = require("./exists")
+const getExportsTarget = require("./get-exports-target")
+const isCoreModule = require("./is-core-module")
+const ZipArchive = require("./zip-archive")
+
+const MANIFEST_FILES = [".pnp.data.json", ".pnp.cjs", ".pnp.js"]
+const RUNTIME_STATE = /(?:RAW_RUNTIME_STATE\s*=|JSON\.parse\()\s*('(?:[^'\\]|\\[\s\S])*')/
+const ZIP_PATH = /^(.+?\.zip)(?:[/\\](.*))?$/
+const MODULE_NAME = /^((?:@[^/]+\/)?[^/]+)(.*)$/
+const archiveCache = new Cache()
+const manifestCache = new Cache()
+const dirCache = new Cache()
+
+/**
+ * Gets the archive which contains a given path.
+ *
+ * e.g. `/a/b.zip/node_modules/c/index.js` -> `{archive, entry: "node_modules/c/index.js"}`
+ *
+ * @param {string} filePath - The path to get.
+ * @returns {{archive:ZipArchive,entry:string}|null} The archive and the path
+ *      in the archive, or `null` if the path is not in any archive.
+ */
+function getArchiveEntry(filePath) {
+    const match = ZIP_PATH.exec(filePath)
+    if (match == null) {
+        return null
+    }
+
+    let archive = archiveCache.get(match[1])
+    if (archive == null) {
+        try {
+            archive = new ZipArchive(match[1])
+        } catch (_err) {
+            return null
+        }
+        archiveCache.set(match[1], archive)
+    }
+    return { archive, entry: (match[2] || "").replace(/\\/g, "/") }
+}
+
+/**
+ * Checks whether or not a given path is a file.
+ * This supports the paths in ZIP archives.
+ *
+ * @param {string} filePath - The path to check.
+ * @returns {boolean} `true` if the path is a file.
+ */
+function isFile(filePath) {
+    const zip = getArchiveEntry(filePath)
+    if (zip != null) {
+        return zip.archive.isFile(zip.entry)
+    }
+    return exists(filePath)
+}
+
+/**
+ * Checks whether or not a given path is a directory.
+ * This supports the paths in ZIP archives.
+ *
+ * @param {string} dirPath - The path to check.
+ * @returns {boolean} `true` if the path is a directory.
+ */
+function isDirectory(dirPath) {
+    const zip = getArchiveEntry(dirPath)
+    if (zip != null) {
+        return zip.archive.isDirectory(zip.entry)
+    }
+    try {
+        return fs.statSync(dirPath).isDirectory()
+    } catch (_err) {
+        return false
+    }
+}
+
+/**
+ * Reads the content of a given file.
+ * This supports the paths in ZIP archives.
+ *
+ * @param {string} filePath - The path to read.
+ * @returns {Buffer} The content.
+ */
+function readFileSync(filePath) {
+    const zip = getArchiveEntry(filePath)
+    if (zip == null) {
+        return fs.readFileSync(filePath)
+    }
+
+    const content = zip.archive.readFile(zip.entry)
+    if (content == null) {
+        const error = new Error(`ENOENT: no such file, open '${filePath}'`)
+        error.code = "ENOENT"
+        throw error
+    }
+    return content
+}
+
+/**
+ * Gets the key of a given package locator.
+ *
+ * @param {object} locator - The locator which has `name` and `reference`.
+ * @returns {string} The key.
+ */
+function getLocatorKey(locator) {
+    return JSON.stringify([locator.name, locator.reference])
+}
+
+/**
+ * The API of Yarn Plug'n'Play.
+ * This reads the manifest, but doesn't execute `.pnp.cjs`.
+ *
+ * See Also: https://yarnpkg.com/advanced/pnp-spec
+ */
+class PnpApi {
+    /**
+     * Initialize this API.
+     * @param {object} data - The runtime state of the manifest.
+     * @param {string} basePath - The path to the directory of the manifest.
+     */
+    constructor(data, basePath) {
+        this.packages = new Map()
+        this.locations = []
+        this.enableTopLevelFallback = Boolean(data.enableTopLevelFallback)
+        this.fallbackDependencies = new Map(data.fallbackPool || [])
+        this.fallbackExclusions = new Set()
+
+        for (const [name, references] of data.packageRegistryData || []) {
+            for (const [reference, information] of references) {
+                const locator = { name, reference }
+                const location = path.resolve(
+                    basePath,
+                    information.packageLocation
+                )
+
+                this.packages.set(getLocatorKey(locator), {
+                    packageLocation: location,
+                    packageDependencies: new Map(
+                        information.packageDependencies || []
+                    ),
+                })
+                if (name != null) {
+                    this.locations.push({ locator, location })
+                }
+            }
+        }
+        for (const [name, references] of data.fallbackExclusionList || []) {
+            for (const reference of references) {
+                this.fallbackExclusions.add(getLocatorKey({ name, reference }))
+            }
+        }
+
+        // The top-level dependencies are used as fallback as well.
+        const topLevel = this.packages.get(
+            getLocatorKey({ name: null, reference: null })
+        )
+        if (topLevel != null) {
+            for (const [name, reference] of topLevel.packageDependencies) {
+                if (!this.fallbackDependencies.has(name)) {
+                    this.fallbackDependencies.set(name, reference)
+                }
+            }
+        }
+
+        // Finds the innermost package first.
+        this.locations.sort((a, b) => b.location.length - a.location.length)
+    }
+
+    /**
+     * Finds the locator of the package which contains a given path.
+     * @param {string} filePath - The path to find.
+     * @returns {{name:string,reference:string}|null} The locator.
+     */
+    findPackageLocator(filePath) {
+        const absolutePath = path.resolve(filePath)
+        for (const entry of this.locations) {
+            if (
+                absolutePath === entry.location ||
+                absolutePath.startsWith(entry.location + path.sep)
+            ) {
+                return entry.locator
+            }
+        }
+        return null
+    }
+
+    /**
+     * Gets the information of a given package.
+     * @param {object} locator - The locator which has `name` and `reference`.
+     * @returns {object|null} The information which has `packageLocation` and
+     *      `packageDependencies`.
+     */
+    getPackageInformation(locator) {
+        return this.packages.get(getLocatorKey(locator)) || null
+    }
+
+    /**
+     * Finds the locator of a dependency of a given package.
+     * @param {{name:string,reference:string}} issuer - The locator of the
+     *      package which imports the dependency.
+     * @param {string} name - The name of the dependency.
+     * @returns {{name:string,reference:string}|null} The locator.
+     */
+    findDependency(issuer, name) {
+        const information = this.getPackageInformation(issuer)
+        let reference = information && information.packageDependencies.get(name)
+
+        if (
+            reference === undefined &&
+            this.enableTopLevelFallback &&
+            !this.fallbackExclusions.has(getLocatorKey(issuer))
+        ) {
+            reference = this.fallbackDependencies.get(name)
+        }
+        if (reference == null) {
+            return null
+        }
+
+        // Aliased dependencies have the pair of the name and the reference.
+        return Array.isArray(reference)
+            ? { name: reference[0], reference: reference[1] }
+            : { name, reference }
+    }
+
+    /**
+     * Resolves a given bare specifier to the path in the package.
+     * The `exports` field of the package is applied.
+     * @param {string} specifier - The specifier to resolve.
+     * @param {string} basedir - The path to the directory of the issuer.
+     * @param {"import"|"require"} kind - The kind of the import.
+     * @returns {string|null} The path, or `null` if not found.
+     */
+    resolveToUnqualified(specifier, basedir, kind) {
+        const match = MODULE_NAME.exec(specifier)
+        const issuer = this.findPackageLocator(basedir)
+        const dependency = issuer && this.findDependency(issuer, match[1])
+        const information = dependency && this.getPackageInformation(dependency)
+        if (information == null) {
+            return null
+        }
+
+        const location = information.packageLocation
+        let packageInfo = null
+        try {
+            packageInfo = JSON.parse(
+                readFileSync(path.join(location, "package.json"))
+            )
+        } catch (_err) {
+            // ignore.
+        }
+
+        const target =
+            packageInfo && getExportsTarget(packageInfo, `.${match[2]}`, kind)
+        if (target === null) {
+            return null
+        }
+        return path.join(location, target || match[2])
+    }
+
+    /**
+     * Resolves a given specifier.
+     * This has the same interface as the `resolver` setting.
+     * @param {string} specifier - The specifier to resolve.
+     * @param {object} options - The options.
+     * @param {string} options.basedir - The path to the directory of the issuer.
+     * @param {"import"|"require"} options.kind - The kind of the import.
+     * @param {string[]} options.extensions - The extensions to try.
+     * @returns {string|null} The resolved path, or `null` if not found.
+     */
+    resolve(specifier, options) {
+        if (isCoreModule(specifier)) {
+            return specifier
+        }
+
+        const unqualifiedPath = /^(?:[./\\]|\w:)/.test(specifier)
+            ? path.resolve(options.basedir, specifier)
+            : this.resolveToUnqualified(
+                  specifier,
+                  options.basedir,
+                  options.kind
+              )
+        if (unqualifiedPath == null) {
+            return null
+        }
+
+        try {
+            return resolve.sync(unqualifiedPath, {
+                basedir: options.basedir,
+                extensions: options.extensions,
+                preserveSymlinks: true,
+                isFile,
+                isDirectory,
+                readFileSync,
+            })
+        } catch (_err) {
+            return null
+        }
+    }
+}
+
+/**
+ * Reads the runtime state of a given manifest.
+ * The state is embedded in `.pnp.cjs` as a string literal unless
+ * `.pnp.data.json` exists.
+ *
+ * Don't cache the data.
+ *
+ * @param {string} filePath - The path to the manifest.
+ * @returns {object|null} The runtime state, or `null`.
+ */
+function readManifest(filePath) {
+    try {
+        const text = fs.readFileSync(filePath, "utf8")
+        if (filePath.endsWith(".json")) {
+            return JSON.parse(text)
+        }
+
+        const match = RUNTIME_STATE.exec(text)
+        return match ? JSON.parse(vm.runInNewContext(match[1])) : null
+    } catch (_err) {
+        return null
+    }
+}
+
+/**
+ * Finds the nearest manifest of Yarn Plug'n'Play from a given directory.
+ *
+ * @param {string} startDir - The path to the directory to start finding.
+ * @returns {string|null} The path to the found manifest, or `null`.
+ */
+function findManifest(startDir) {
+    let dir = startDir
+    let prevDir = ""
+
+    do {
+        for (const name of MANIFEST_FILES) {
+            const filePath = path.join(dir, name)
+            if (exists(filePath)) {
+                return filePath
+            }
+        }
+
+        // Go to next.
+        prevDir = dir
+        dir = path.resolve(dir, "..")
+    } while (dir !== prevDir)
+
+    return null
+}
+
+/**
+ * Gets the API of Yarn Plug'n'Play for a given file.
+ * This finds the nearest `.pnp.data.json`, `.pnp.cjs`, or `.pnp.js`.
+ * The API is cached if found, then it's used after.
+ *
+ * @param {string} filePath - The path to the linting file.
+ * @returns {PnpApi|null} The API, or `null` if the project doesn't use Yarn
+ *      Plug'n'Play.
+ */
+module.exports = function getPnpApi(filePath) {
+    const startDir = path.dirname(path.resolve(filePath))
+    let manifestPath = dirCache.get(startDir)
+    if (manifestPath == null) {
+        manifestPath = findManifest(startDir) || ""
+        dirCache.set(startDir, manifestPath)
+    }
+    if (manifestPath === "") {
+        return null
+    }
+
+    let api = manifestCache.get(manifestPath)
+    if (api == null) {
+        const data = readManifest(manifestPath)
+        api = data ? new PnpApi(data, path.dirname(manifestPath)) : false
+        manifestCache.set(manifestPath, api)
+    }
+    return api || null
+}
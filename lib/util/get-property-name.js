@@ -0,0 +1,23 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const getValueIfString = require("./get-value-if-string")
+
+/**
+ * Gets the static name of the property of a given node.
+ *
+ * e.g. `a.b` -> `b`, `a["b"]` -> `b`, `{ b: 1 }` -> `b`, `a[b]` -> `null`
+ *
+ * @param {ASTNode} node - A `MemberExpression` node or a `Property` node.
+ * @returns {string|null} The property name, or `null` if it's not static.
+ */
+module.exports = function getPropertyName(node) {
+    const key = node.type === "MemberExpression" ? node.property : node.key
+    if (!node.computed && key.type === "Identifier") {
+        return key.name
+    }
+    return getValueIfString(key)
+}
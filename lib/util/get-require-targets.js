@@ -5,13 +5,39 @@
 "use strict"
 
 const path = require("path")
-const resolve = require("resolve")
-const getResolvePaths = require("./get-resolve-paths")
-const getTryExtensions = require("./get-try-extensions")
+const getImportOptions = require("./get-import-options")
+const getModuleType = require("./get-module-type")
+const getStaticValue = require("./get-static-value")
 const getValueIfString = require("./get-value-if-string")
 const ImportTarget = require("./import-target")
+const isCoreModule = require("./is-core-module")
+const ReferenceTracer = require("./reference-tracer")
 const stripImportPathParams = require("./strip-import-path-params")
 
+const CREATE_REQUIRE = {
+    module: {
+        createRequire: { [ReferenceTracer.CALL]: true },
+        createRequireFromPath: { [ReferenceTracer.CALL]: true },
+    },
+}
+
+/**
+ * Checks whether or not a given node is the object of a given property access.
+ *
+ * @param {ASTNode} node - A node to check.
+ * @param {string} name - The property name.
+ * @returns {boolean} `true` if the node is the object of the property access.
+ */
+function isPropertyObject(node, name) {
+    const parent = node.parent
+    if (parent.type !== "MemberExpression" || parent.object !== node) {
+        return false
+    }
+    return parent.computed
+        ? getValueIfString(parent.property) === name
+        : parent.property.name === name
+}
+
 /**
  * Checks whether or not a given node is a callee.
  *
@@ -22,6 +48,57 @@ function isCallee(node) {
     return node.parent.type === "CallExpression" && node.parent.callee === node
 }
 
+/**
+ * Gets the node of the target of a given `require` function.
+ *
+ * - `require(target)`
+ * - `require.resolve(target)`
+ * - `require.resolve.paths(target)`
+ *
+ * @param {ASTNode} node - The node of a `require` function.
+ * @returns {ASTNode|null} The node of the target, or `null`.
+ */
+function getTargetNode(node) {
+    let callee = node
+    if (isPropertyObject(callee, "resolve")) {
+        callee = callee.parent
+        if (isPropertyObject(callee, "paths")) {
+            callee = callee.parent
+        }
+    }
+
+    if (!isCallee(callee)) {
+        return null
+    }
+    return callee.parent.arguments[0] || null
+}
+
+/**
+ * Converts a given statically evaluated path to the path relative to the
+ * directory of the current file, so messages don't show absolute paths.
+ *
+ * e.g. `/path/to/project/lib/a.js` -> `./a.js` in `/path/to/project/lib/b.js`
+ *
+ * @param {string} name - The evaluated path.
+ * @param {string} basedir - The directory of the current file.
+ * @returns {string} The relative path, or `name` if it's not absolute.
+ */
+function toRelativePath(name, basedir) {
+    if (!path.isAbsolute(name)) {
+        return name
+    }
+
+    const relativePath = path.relative(basedir, name)
+    if (path.isAbsolute(relativePath)) {
+        return name
+    }
+
+    const posixPath = relativePath.split(path.sep).join("/")
+    return posixPath === ".." || posixPath.startsWith("../")
+        ? posixPath
+        : `./${posixPath}`
+}
+
 /**
  * Gets references of "require".
  *
@@ -37,10 +114,60 @@ function getReferencesOfRequire(scope) {
     return variable.references
 }
 
+/**
+ * Gets the nodes of `require` functions which are created by
+ * `module.createRequire()`.
+ *
+ * - `createRequire(import.meta.url)(target)`
+ * - `const require = createRequire(import.meta.url); require(target)`
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {escope.Scope} scope - The global scope.
+ * @returns {ASTNode[]} The nodes of created `require` functions.
+ */
+function getCreatedRequireNodes(context, scope) {
+    const tracer = new ReferenceTracer(scope)
+    const retv = []
+
+    for (const report of [].concat(
+        Array.from(tracer.iterateCjsReferences(CREATE_REQUIRE)),
+        Array.from(tracer.iterateEsmReferences(CREATE_REQUIRE))
+    )) {
+        const callNode = report.node
+        const parent = callNode.parent
+
+        if (
+            parent.type === "VariableDeclarator" &&
+            parent.init === callNode &&
+            parent.id.type === "Identifier"
+        ) {
+            for (const variable of context.getDeclaredVariables(parent)) {
+                for (const reference of variable.references) {
+                    if (reference.isRead()) {
+                        retv.push(reference.identifier)
+                    }
+                }
+            }
+        } else {
+            retv.push(callNode)
+        }
+    }
+
+    return retv
+}
+
 /**
  * Gets a list of `require()` targets.
  *
- * Core modules of Node.js (e.g. `fs`, `http`) are excluded.
+ * Core modules of Node.js (e.g. `fs`, `node:http`) are excluded.
+ * The target paths are evaluated statically.
+ * E.g. `require(path.join(__dirname, "x"))` is handled as well, and the
+ * evaluated absolute paths are converted to relative paths.
+ *
+ * This handles `require.resolve()`, `require.resolve.paths()`, and the
+ * functions which are created by `module.createRequire()` as well.
+ * ES modules (see `getModuleType()`) don't have the `require` variable, so
+ * only the created functions are handled in them.
  *
  * @param {RuleContext} context - The rule context.
  * @param {boolean} includeCore - The flag to include core modules.
@@ -48,26 +175,37 @@ function getReferencesOfRequire(scope) {
  */
 module.exports = function getRequireTargets(context, includeCore) {
     const retv = []
-    const basedir = path.dirname(path.resolve(context.getFilename()))
-    const paths = getResolvePaths(context)
-    const references = getReferencesOfRequire(context.getScope())
-    const extensions = getTryExtensions(context)
-    const options = { basedir, paths, extensions }
+    const filePath = path.resolve(context.getFilename())
+    const options = getImportOptions(context)
+    const scope = context.getScope()
+    const references =
+        getModuleType(filePath) === "module"
+            ? []
+            : getReferencesOfRequire(scope)
+    const requireNodes = new Set(
+        [].concat(
+            references.map(reference => reference.identifier),
+            getCreatedRequireNodes(context, scope)
+        )
+    )
 
-    for (const reference of references) {
-        const node = reference.identifier
-
-        // Skips if it's not a call of `require`.
-        if (!isCallee(node)) {
+    for (const node of requireNodes) {
+        // Gets the target module.
+        const targetNode = getTargetNode(node)
+        if (targetNode == null) {
             continue
         }
 
-        // Gets the target module.
-        const targetNode = node.parent.arguments[0]
-        const rawName = getValueIfString(targetNode)
-        const name = rawName && stripImportPathParams(rawName)
-        if (name && (includeCore || !resolve.isCore(name))) {
-            retv.push(new ImportTarget(targetNode, name, options))
+        const rawName = getStaticValue(targetNode, scope, filePath)
+        const name =
+            typeof rawName === "string" &&
+            stripImportPathParams(
+                getValueIfString(targetNode) == null
+                    ? toRelativePath(rawName, path.dirname(filePath))
+                    : rawName
+            )
+        if (name && (includeCore || !isCoreModule(name))) {
+            retv.push(new ImportTarget(targetNode, name, options, "require"))
         }
     }
 
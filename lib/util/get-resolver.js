@@ -0,0 +1,68 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const resolve = require("resolve")
+
+/**
+ * Gets `resolver` property from a given option object.
+ *
+ * @param {object|undefined} option - An option object to get.
+ * @returns {string|null} The `resolver` value, or `null`.
+ */
+function get(option) {
+    if (option && typeof option.resolver === "string") {
+        return option.resolver
+    }
+    return null
+}
+
+/**
+ * Loads a given resolver module.
+ * If the module path is relative, it's resolved from CWD.
+ *
+ * @param {string} name - The module name or the path of the resolver.
+ * @returns {{resolve:function}} The loaded resolver.
+ */
+function load(name) {
+    const basedir = process.cwd()
+    const filePath = /^(?:\.{1,2}(?:[/\\]|$)|[/\\]|[a-zA-Z]:)/.test(name)
+        ? path.resolve(basedir, name)
+        : resolve.sync(name, { basedir })
+    const resolver = require(filePath)
+
+    if (!resolver || typeof resolver.resolve !== "function") {
+        throw new TypeError(
+            `The resolver "${name}" does not export "resolve" function.`
+        )
+    }
+    return resolver
+}
+
+/**
+ * Gets "resolver" setting.
+ *
+ * 1. This checks `options` property, then returns it if exists.
+ * 2. This checks `settings.node` property, then returns it if exists.
+ * 3. This returns `null`. Then the `resolve` package is used.
+ *
+ * The resolver is a module which exports `resolve(specifier, options)`
+ * function. The function receives `options.basedir`, `options.kind`
+ * (`"import"` or `"require"`), `options.extensions`, and `options.paths`,
+ * then returns the resolved path or `null`.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @returns {{resolve:function}|null} The resolver, or `null`.
+ */
+module.exports = function getResolver(context) {
+    const name =
+        get(context.options && context.options[0]) ||
+        get(context.settings && context.settings.node)
+
+    return name ? load(name) : null
+}
+
+module.exports.schema = { type: "string" }
@@ -0,0 +1,323 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const getInnermostScope = require("./get-innermost-scope")
+const getValueIfString = require("./get-value-if-string")
+const stripNodeScheme = require("./strip-node-scheme")
+
+const PATH_FUNCTIONS = new Map([["join", path.join], ["resolve", path.resolve]])
+
+/**
+ * Finds the variable object of a given Identifier node.
+ * @param {escope.Scope} initialScope - The initial scope to find.
+ * @param {ASTNode} node - An Identifier node to find.
+ * @returns {escope.Variable|null} Found variable object.
+ */
+function findVariable(initialScope, node) {
+    let scope = getInnermostScope(initialScope, node.range[0])
+    while (scope != null) {
+        const variable = scope.set.get(node.name)
+        if (variable != null) {
+            return variable
+        }
+        scope = scope.upper
+    }
+    return null
+}
+
+/**
+ * Gets the definition of a given variable if the variable is declared by a
+ * `const` declaration or an `import` declaration.
+ * @param {escope.Variable|null} variable - The variable to get.
+ * @returns {escope.Definition|null} The definition.
+ */
+function getConstantDefinition(variable) {
+    if (variable == null || variable.defs.length !== 1) {
+        return null
+    }
+
+    const def = variable.defs[0]
+    if (
+        def.type === "ImportBinding" ||
+        (def.type === "Variable" &&
+            def.parent.kind === "const" &&
+            def.node.init != null)
+    ) {
+        return def
+    }
+    return null
+}
+
+/**
+ * Checks whether or not a given module name is the `path` module.
+ * @param {string|null} name - The module name to check.
+ * @returns {boolean} `true` if the name is `path` or `node:path`.
+ */
+function isPathName(name) {
+    return typeof name === "string" && stripNodeScheme(name) === "path"
+}
+
+/**
+ * Checks whether or not a given node is `require("path")`.
+ * @param {ASTNode} node - The node to check.
+ * @returns {boolean} `true` if the node is `require("path")`.
+ */
+function isRequirePath(node) {
+    return (
+        node.type === "CallExpression" &&
+        node.callee.type === "Identifier" &&
+        node.callee.name === "require" &&
+        isPathName(getValueIfString(node.arguments[0]))
+    )
+}
+
+/**
+ * Checks whether or not a given Identifier node refers the `path` module.
+ *
+ * - `const path = require("path")`
+ * - `import path from "path"`
+ * - `import * as path from "path"`
+ *
+ * @param {ASTNode} node - The Identifier node to check.
+ * @param {escope.Scope} initialScope - The initial scope to find variables.
+ * @returns {boolean} `true` if the node refers the `path` module.
+ */
+function isPathModule(node, initialScope) {
+    const def = getConstantDefinition(findVariable(initialScope, node))
+    if (def == null) {
+        return false
+    }
+    if (def.type === "ImportBinding") {
+        return (
+            def.node.type !== "ImportSpecifier" &&
+            isPathName(def.parent.source.value)
+        )
+    }
+    return def.node.id.type === "Identifier" && isRequirePath(def.node.init)
+}
+
+/**
+ * Gets the function of the `path` module which a given Identifier node refers.
+ *
+ * - `const {join} = require("path")`
+ * - `import {join} from "path"`
+ *
+ * @param {ASTNode} node - The Identifier node to get.
+ * @param {escope.Scope} initialScope - The initial scope to find variables.
+ * @returns {function|null} The function of the `path` module.
+ */
+function getPathFunctionByName(node, initialScope) {
+    const def = getConstantDefinition(findVariable(initialScope, node))
+    if (def == null) {
+        return null
+    }
+    if (def.type === "ImportBinding") {
+        if (
+            def.node.type === "ImportSpecifier" &&
+            isPathName(def.parent.source.value)
+        ) {
+            return PATH_FUNCTIONS.get(def.node.imported.name) || null
+        }
+        return null
+    }
+    if (def.node.id.type !== "ObjectPattern" || !isRequirePath(def.node.init)) {
+        return null
+    }
+
+    for (const property of def.node.id.properties) {
+        if (
+            property.type === "Property" &&
+            !property.computed &&
+            property.value === def.name
+        ) {
+            return PATH_FUNCTIONS.get(property.key.name) || null
+        }
+    }
+    return null
+}
+
+/**
+ * Gets the function of the `path` module which a given callee node refers.
+ * @param {ASTNode} callee - The callee node to get.
+ * @param {escope.Scope} initialScope - The initial scope to find variables.
+ * @returns {function|null} The function of the `path` module.
+ */
+function getPathFunction(callee, initialScope) {
+    if (callee.type === "Identifier") {
+        return getPathFunctionByName(callee, initialScope)
+    }
+    if (
+        callee.type === "MemberExpression" &&
+        callee.object.type === "Identifier" &&
+        isPathModule(callee.object, initialScope)
+    ) {
+        const name = callee.computed
+            ? getValueIfString(callee.property)
+            : callee.property.name
+        return PATH_FUNCTIONS.get(name) || null
+    }
+    return null
+}
+
+/**
+ * The static evaluator.
+ */
+class StaticEvaluator {
+    /**
+     * Initialize this evaluator.
+     * @param {escope.Scope} initialScope - The initial scope to find variables.
+     * @param {string} filePath - The full path of the current file.
+     */
+    constructor(initialScope, filePath) {
+        this.initialScope = initialScope
+        this.filePath = filePath
+        this.variableStack = []
+    }
+
+    /**
+     * Evaluates a given node.
+     * @param {ASTNode} node - The node to evaluate.
+     * @returns {string|number|null} The value, or `null` if unknown.
+     */
+    evaluate(node) {
+        switch (node.type) {
+            case "Literal":
+                return typeof node.value === "string" ||
+                    typeof node.value === "number"
+                    ? node.value
+                    : null
+
+            case "TemplateLiteral":
+                return this._evaluateTemplateLiteral(node)
+
+            case "BinaryExpression":
+                return this._evaluateBinaryExpression(node)
+
+            case "Identifier":
+                return this._evaluateIdentifier(node)
+
+            case "CallExpression":
+                return this._evaluateCallExpression(node)
+
+            // no default
+        }
+        return null
+    }
+
+    /**
+     * Evaluates a given TemplateLiteral node.
+     * @param {ASTNode} node - The node to evaluate.
+     * @returns {string|null} The value, or `null` if unknown.
+     */
+    _evaluateTemplateLiteral(node) {
+        let value = node.quasis[0].value.cooked
+        for (let i = 0; i < node.expressions.length; ++i) {
+            const expression = this.evaluate(node.expressions[i])
+            if (expression == null) {
+                return null
+            }
+            value += String(expression) + node.quasis[i + 1].value.cooked
+        }
+        return value
+    }
+
+    /**
+     * Evaluates a given BinaryExpression node.
+     * Only `+` operator is supported.
+     * @param {ASTNode} node - The node to evaluate.
+     * @returns {string|number|null} The value, or `null` if unknown.
+     */
+    _evaluateBinaryExpression(node) {
+        if (node.operator !== "+") {
+            return null
+        }
+        const left = this.evaluate(node.left)
+        const right = left == null ? null : this.evaluate(node.right)
+        return right == null ? null : left + right
+    }
+
+    /**
+     * Evaluates a given Identifier node.
+     * It handles `__dirname`, `__filename`, and `const` variables.
+     * @param {ASTNode} node - The node to evaluate.
+     * @returns {string|number|null} The value, or `null` if unknown.
+     */
+    _evaluateIdentifier(node) {
+        const variable = findVariable(this.initialScope, node)
+
+        if (variable == null || variable.defs.length === 0) {
+            if (node.name === "__dirname") {
+                return path.dirname(this.filePath)
+            }
+            if (node.name === "__filename") {
+                return this.filePath
+            }
+            return null
+        }
+
+        const def = getConstantDefinition(variable)
+        if (
+            def == null ||
+            def.type !== "Variable" ||
+            def.node.id !== def.name ||
+            this.variableStack.indexOf(variable) !== -1
+        ) {
+            return null
+        }
+
+        this.variableStack.push(variable)
+        try {
+            return this.evaluate(def.node.init)
+        } finally {
+            this.variableStack.pop()
+        }
+    }
+
+    /**
+     * Evaluates a given CallExpression node.
+     * Only `path.join()` and `path.resolve()` are supported.
+     * @param {ASTNode} node - The node to evaluate.
+     * @returns {string|null} The value, or `null` if unknown.
+     */
+    _evaluateCallExpression(node) {
+        const func = getPathFunction(node.callee, this.initialScope)
+        if (func == null) {
+            return null
+        }
+
+        const args = []
+        for (const argument of node.arguments) {
+            const value = this.evaluate(argument)
+            if (typeof value !== "string") {
+                return null
+            }
+            args.push(value)
+        }
+        return func.apply(path, args)
+    }
+}
+
+/**
+ * Gets the statically known value of a given node.
+ *
+ * This supports string and number literals, template literals, `+` operators,
+ * `__dirname`, `__filename`, `const` variables, `path.join()`, and
+ * `path.resolve()`.
+ *
+ * e.g. `path.join(__dirname, "lib", "x")` -> `/path/to/dir/lib/x`
+ *
+ * @param {ASTNode} node - The node to get.
+ * @param {escope.Scope} initialScope - The initial scope to find variables.
+ * @param {string} filePath - The full path of the current file.
+ * @returns {string|number|null} The value of the node, or `null`.
+ */
+module.exports = function getStaticValue(node, initialScope, filePath) {
+    if (!node) {
+        return null
+    }
+    return new StaticEvaluator(initialScope, filePath).evaluate(node)
+}
@@ -0,0 +1,212 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const fs = require("fs")
+const path = require("path")
+const builtinModules = require("module").builtinModules || []
+const getPackageJson = require("./get-package-json")
+const getTryExtensions = require("./get-try-extensions")
+const stripNodeScheme = require("./strip-node-scheme")
+
+const MAX_SUGGESTIONS = 3
+const CORE_MODULES = builtinModules.filter(name => !name.startsWith("_"))
+
+/**
+ * Calculates the edit distance between two strings.
+ * This counts the transposition of two adjacent characters as one edit
+ * (optimal string alignment distance), so `mian` -> `main` is 1.
+ *
+ * @param {string} a - A string to compare.
+ * @param {string} b - Another string to compare.
+ * @returns {number} The distance.
+ */
+function getDistance(a, b) {
+    let prevPrevRow = null
+    let prevRow = Array.from({ length: b.length + 1 }, (_, i) => i)
+
+    for (let i = 1; i <= a.length; ++i) {
+        const row = [i]
+        for (let j = 1; j <= b.length; ++j) {
+            row[j] = Math.min(
+                prevRow[j] + 1,
+                row[j - 1] + 1,
+                prevRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            )
+            if (
+                i > 1 &&
+                j > 1 &&
+                a[i - 1] === b[j - 2] &&
+                a[i - 2] === b[j - 1]
+            ) {
+                row[j] = Math.min(row[j], prevPrevRow[j - 2] + 1)
+            }
+        }
+        prevPrevRow = prevRow
+        prevRow = row
+    }
+
+    return prevRow[b.length]
+}
+
+/**
+ * Checks whether or not a given candidate is close to a given name.
+ *
+ * - The extensions have to be the same, so `db.js` is not close to `db.ts`.
+ * - The names without the extensions can differ by one edit per three
+ *   characters, so `a.json` is not close to `b.json`.
+ *
+ * The comparison is case-insensitive, so this finds case-only mismatches
+ * as well.
+ *
+ * @param {string} name - The name to compare.
+ * @param {string} candidate - The candidate.
+ * @returns {number} The distance, or `-1` if the candidate is not close.
+ */
+function getCloseness(name, candidate) {
+    const lowerName = name.toLowerCase()
+    const lowerCandidate = candidate.toLowerCase()
+    const ext = path.extname(lowerName)
+    if (path.extname(lowerCandidate) !== ext) {
+        return -1
+    }
+
+    const stem = lowerName.slice(0, lowerName.length - ext.length)
+    const candidateStem = lowerCandidate.slice(
+        0,
+        lowerCandidate.length - ext.length
+    )
+    const distance = getDistance(stem, candidateStem)
+    const maxDistance = Math.floor(
+        Math.max(stem.length, candidateStem.length) / 3
+    )
+    return distance <= maxDistance ? distance : -1
+}
+
+/**
+ * Selects the candidates which are close to a given name.
+ *
+ * @param {string} name - The name to compare.
+ * @param {string[]} candidates - The candidates.
+ * @returns {string[]} The close candidates, closest first.
+ */
+function selectCloseNames(name, candidates) {
+    const found = new Map()
+
+    for (const candidate of candidates) {
+        const distance =
+            candidate !== name && !found.has(candidate)
+                ? getCloseness(name, candidate)
+                : -1
+        if (distance !== -1) {
+            found.set(candidate, distance)
+        }
+    }
+
+    return Array.from(found.keys())
+        .sort((a, b) => found.get(a) - found.get(b) || (a < b ? -1 : 1))
+        .slice(0, MAX_SUGGESTIONS)
+}
+
+/**
+ * Gets the names of the files in a given directory to compare with a missing
+ * file.
+ * If the missing file doesn't have an extension, the files which have the
+ * extensions of `tryExtensions` are compared without the extensions.
+ *
+ * @param {string} dirPath - The path to the directory.
+ * @param {string} fileName - The name of the missing file.
+ * @param {string[]} extensions - The extensions of `tryExtensions`.
+ * @returns {string[]} The names of the files.
+ */
+function getSiblingNames(dirPath, fileName, extensions) {
+    let names = null
+    try {
+        names = fs.readdirSync(dirPath)
+    } catch (_err) {
+        return []
+    }
+    if (path.extname(fileName) !== "") {
+        return names
+    }
+
+    const retv = []
+    for (const name of names) {
+        const ext = path.extname(name)
+        if (ext === "") {
+            retv.push(name)
+        } else if (extensions.indexOf(ext) !== -1) {
+            retv.push(name.slice(0, -ext.length))
+        }
+    }
+    return retv
+}
+
+/**
+ * Gets the names of the dependencies in the nearest `package.json`.
+ *
+ * @param {string} filePath - The path to the current file.
+ * @returns {string[]} The names of the dependencies.
+ */
+function getDependencyNames(filePath) {
+    const packageInfo = getPackageJson(filePath)
+    if (!packageInfo) {
+        return []
+    }
+    return [].concat(
+        Object.keys(packageInfo.dependencies || {}),
+        Object.keys(packageInfo.devDependencies || {}),
+        Object.keys(packageInfo.peerDependencies || {}),
+        Object.keys(packageInfo.optionalDependencies || {})
+    )
+}
+
+/**
+ * Gets the specifiers which are close to a given missing import target.
+ *
+ * - For files, this compares with the files in the target directory.
+ * - For modules, this compares with the dependencies in `package.json` and
+ *   core modules.
+ *
+ * e.g. `./utils/formater` -> `["./utils/formatter"]`
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {ImportTarget} target - The missing import target.
+ * @returns {string[]} The suggested specifiers, closest first.
+ */
+module.exports = function getSuggestions(context, target) {
+    const name = target.name
+    if (name.startsWith("#") || name.endsWith("/")) {
+        return []
+    }
+
+    if (target.moduleName == null) {
+        if (target.filePath == null) {
+            return []
+        }
+
+        const prefix = name.slice(0, name.lastIndexOf("/") + 1)
+        const fileName = path.basename(target.filePath)
+        const siblings = getSiblingNames(
+            path.dirname(target.filePath),
+            fileName,
+            getTryExtensions(context)
+        )
+        return selectCloseNames(fileName, siblings).map(
+            candidate => prefix + candidate
+        )
+    }
+
+    const hasScheme = name.startsWith("node:")
+    const prefix = hasScheme ? "node:" : ""
+    const subpath = stripNodeScheme(name).slice(target.moduleName.length)
+    const candidates = hasScheme
+        ? CORE_MODULES
+        : getDependencyNames(context.getFilename()).concat(CORE_MODULES)
+
+    return selectCloseNames(target.moduleName, candidates).map(
+        candidate => prefix + candidate + subpath
+    )
+}
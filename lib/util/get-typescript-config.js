@@ -0,0 +1,200 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const fs = require("fs")
+const path = require("path")
+const resolve = require("resolve")
+const Cache = require("./cache")
+const exists = require("./exists")
+
+const STRING_OR_COMMENT = /("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g
+const STRING_OR_TRAILING_COMMA = /("(?:[^"\\]|\\.)*")|,(\s*[\]}])/g
+const configCache = new Cache()
+const dirCache = new Cache()
+
+/**
+ * Gets `typescript` property from a given option object.
+ *
+ * @param {object|undefined} option - An option object to get.
+ * @returns {boolean|null} The `typescript` value, or `null`.
+ */
+function get(option) {
+    if (option && typeof option.typescript === "boolean") {
+        return option.typescript
+    }
+    return null
+}
+
+/**
+ * Parses the text of `tsconfig.json`.
+ * `tsconfig.json` can have comments and trailing commas.
+ *
+ * @param {string} text - The text to parse.
+ * @returns {any} The parsed value.
+ */
+function parseJsonWithComments(text) {
+    return JSON.parse(
+        text
+            .replace(/^\uFEFF/, "")
+            .replace(STRING_OR_COMMENT, (_, str) => str || "")
+            .replace(STRING_OR_TRAILING_COMMA, (_, str, close) => str || close)
+    )
+}
+
+/**
+ * Resolves a value of the `extends` field of `tsconfig.json`.
+ *
+ * - `"./tsconfig.base"` -> `/path/to/tsconfig.base.json`
+ * - `"@tsconfig/node10"` -> `/path/to/node_modules/@tsconfig/node10/tsconfig.json`
+ *
+ * @param {string} name - The value of the `extends` field.
+ * @param {string} basedir - The path to the directory of the config file.
+ * @returns {string|null} The full path of the extended config file.
+ */
+function resolveExtends(name, basedir) {
+    if (/^(?:\.{1,2}(?:[/\\]|$)|[/\\]|[a-zA-Z]:)/.test(name)) {
+        const filePath = path.resolve(basedir, name)
+        if (exists(filePath)) {
+            return filePath
+        }
+        return exists(`${filePath}.json`) ? `${filePath}.json` : null
+    }
+
+    for (const id of [name, `${name}.json`, `${name}/tsconfig.json`]) {
+        try {
+            const filePath = resolve.sync(id, { basedir, extensions: [] })
+            if (filePath.endsWith(".json")) {
+                return filePath
+            }
+        } catch (_err) {
+            // try the next.
+        }
+    }
+    return null
+}
+
+/**
+ * Reads a given `tsconfig.json` and the config files which it extends.
+ *
+ * Don't cache the data.
+ *
+ * @param {string} filePath - The path to the config file.
+ * @param {string[]} stack - The paths of the config files which are extending
+ *      the file. This is used to ignore circular `extends`.
+ * @returns {object} The resolution options which have `baseUrl`, `paths`,
+ *      and `pathsBasePath` properties.
+ */
+function readConfig(filePath, stack) {
+    const retv = { baseUrl: null, paths: null, pathsBasePath: null }
+    if (stack.indexOf(filePath) !== -1) {
+        return retv
+    }
+
+    let data = null
+    try {
+        data = parseJsonWithComments(fs.readFileSync(filePath, "utf8"))
+    } catch (_err) {
+        return retv
+    }
+    if (typeof data !== "object" || data === null) {
+        return retv
+    }
+
+    const basedir = path.dirname(filePath)
+    for (const name of [].concat(data.extends || [])) {
+        const basePath =
+            typeof name === "string" ? resolveExtends(name, basedir) : null
+        if (basePath != null) {
+            const base = readConfig(basePath, stack.concat(filePath))
+            for (const key of Object.keys(base)) {
+                if (base[key] != null) {
+                    retv[key] = base[key]
+                }
+            }
+        }
+    }
+
+    const compilerOptions = data.compilerOptions || {}
+    if (typeof compilerOptions.baseUrl === "string") {
+        retv.baseUrl = path.resolve(basedir, compilerOptions.baseUrl)
+    }
+    if (compilerOptions.paths && typeof compilerOptions.paths === "object") {
+        retv.paths = compilerOptions.paths
+        retv.pathsBasePath = basedir
+    }
+
+    return retv
+}
+
+/**
+ * Finds the nearest `tsconfig.json` from a given directory.
+ *
+ * @param {string} startDir - The path to the directory to start finding.
+ * @returns {string|null} The path to the found `tsconfig.json`, or `null`.
+ */
+function findConfigFile(startDir) {
+    let dir = startDir
+    let prevDir = ""
+
+    do {
+        const filePath = path.join(dir, "tsconfig.json")
+        if (exists(filePath)) {
+            return filePath
+        }
+
+        // Go to next.
+        prevDir = dir
+        dir = path.resolve(dir, "..")
+    } while (dir !== prevDir)
+
+    return null
+}
+
+/**
+ * Gets the resolution options of the nearest `tsconfig.json`.
+ *
+ * 1. This checks `options` property and `settings.node` property, then this
+ *    does nothing if `typescript` is not `true`.
+ * 2. This finds the nearest `tsconfig.json` and follows the `extends` field.
+ * 3. This returns `baseUrl` and `paths` of the `compilerOptions` field.
+ *    `pathsBasePath` is the path which `paths` are relative to.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @returns {object|null} The resolution options, or `null` if the setting is
+ *      disabled.
+ */
+module.exports = function getTypeScriptConfig(context) {
+    const option = get(context.options && context.options[0])
+    const enabled =
+        option != null
+            ? option
+            : get(context.settings && context.settings.node) === true
+    if (!enabled) {
+        return null
+    }
+
+    const startDir = path.dirname(path.resolve(context.getFilename()))
+    let configPath = dirCache.get(startDir)
+    if (configPath == null) {
+        configPath = findConfigFile(startDir) || ""
+        dirCache.set(startDir, configPath)
+    }
+    if (configPath === "") {
+        return { baseUrl: null, paths: null, pathsBasePath: null }
+    }
+
+    let config = configCache.get(configPath)
+    if (config == null) {
+        config = readConfig(configPath, [])
+        if (config.baseUrl != null) {
+            config.pathsBasePath = config.baseUrl
+        }
+        configCache.set(configPath, config)
+    }
+    return config
+}
+
+module.exports.schema = { type: "boolean" }
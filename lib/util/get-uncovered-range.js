@@ -0,0 +1,138 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const semver = require("semver")
+
+/**
+ * Gets the sorted versions which the comparators of given ranges use.
+ *
+ * The prerelease tags are removed because this checks only release
+ * versions. E.g., `<13.0.0-0` and `<13.0.0` match the same releases.
+ *
+ * @param {semver.Range[]} ranges - The ranges.
+ * @returns {semver.SemVer[]} The sorted boundary versions.
+ */
+function getBoundaries(ranges) {
+    const versions = new Map()
+
+    for (const range of ranges) {
+        for (const comparators of range.set) {
+            for (const comparator of comparators) {
+                const v = comparator.semver
+                if (v.version) {
+                    const version = `${v.major}.${v.minor}.${v.patch}`
+                    versions.set(version, new semver.SemVer(version))
+                }
+            }
+        }
+    }
+
+    return Array.from(versions.values()).sort(semver.compare)
+}
+
+/**
+ * Splits all versions into the segments which each range either contains
+ * entirely or doesn't contain at all.
+ *
+ * The segments are ordered. Each segment has `from`/`to` bounds
+ * (`null` means unbounded), the inclusive flags of the bounds, and a
+ * `sample` version in the segment.
+ *
+ * @param {semver.SemVer[]} boundaries - The sorted boundary versions.
+ * @returns {object[]} The segments.
+ */
+function getSegments(boundaries) {
+    const segments = []
+    let prev = null
+
+    for (const boundary of boundaries) {
+        const sample = prev ? semver.inc(prev.version, "patch") : "0.0.0"
+        if (semver.lt(sample, boundary)) {
+            segments.push({
+                from: prev && prev.version,
+                fromInclusive: false,
+                to: boundary.version,
+                toInclusive: false,
+                sample,
+            })
+        }
+        segments.push({
+            from: boundary.version,
+            fromInclusive: true,
+            to: boundary.version,
+            toInclusive: true,
+            sample: boundary.version,
+        })
+        prev = boundary
+    }
+    segments.push({
+        from: prev && prev.version,
+        fromInclusive: false,
+        to: null,
+        toInclusive: false,
+        sample: prev ? semver.inc(prev.version, "patch") : "0.0.0",
+    })
+
+    return segments
+}
+
+/**
+ * Converts a given list of contiguous segments to a range string.
+ *
+ * @param {object} first - The first segment.
+ * @param {object} last - The last segment.
+ * @returns {string} The range string.
+ */
+function toRangeString(first, last) {
+    if (first.from === last.to && first.fromInclusive && last.toInclusive) {
+        return first.from
+    }
+
+    const comparators = []
+    if (first.from != null) {
+        comparators.push(`${first.fromInclusive ? ">=" : ">"}${first.from}`)
+    }
+    if (last.to != null) {
+        comparators.push(`${last.toInclusive ? "<=" : "<"}${last.to}`)
+    }
+    return comparators.join(" ") || "*"
+}
+
+/**
+ * Gets the versions in a given range which another range doesn't cover.
+ *
+ * - `(">=12.0.0", ">=18.0.0")` -> `">=12.0.0 <18.0.0"`
+ * - `(">=12.0.0", "^12.0.0 || >=14.0.0")` -> `">=13.0.0 <14.0.0"`
+ * - `(">=18.0.0", ">=12.0.0")` -> `null`
+ *
+ * @param {string} range - The range of the versions to check.
+ * @param {string} coveringRange - The range which should cover `range`.
+ * @returns {string|null} The range of the uncovered versions, or `null` if
+ *      `coveringRange` covers all versions of `range`.
+ */
+module.exports = function getUncoveredRange(range, coveringRange) {
+    const target = new semver.Range(range)
+    const covering = new semver.Range(coveringRange)
+    const segments = getSegments(getBoundaries([target, covering]))
+    const pieces = []
+    let first = null
+    let last = null
+
+    for (const segment of segments) {
+        if (target.test(segment.sample) && !covering.test(segment.sample)) {
+            first = first || segment
+            last = segment
+        } else if (first != null) {
+            pieces.push(toRangeString(first, last))
+            first = last = null
+        }
+    }
+    if (first != null) {
+        pieces.push(toRangeString(first, last))
+    }
+
+    return pieces.length !== 0 ? pieces.join(" || ") : null
+}
@@ -0,0 +1,51 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const DEFAULT_VALUE = Object.freeze([])
+
+/**
+ * Gets `workspaceTestFiles` property from a given option object.
+ *
+ * @param {object|undefined} option - An option object to get.
+ * @returns {string[]|null} The `workspaceTestFiles` value, or `null`.
+ */
+function get(option) {
+    if (
+        option &&
+        option.workspaceTestFiles &&
+        Array.isArray(option.workspaceTestFiles)
+    ) {
+        return option.workspaceTestFiles.map(String)
+    }
+    return null
+}
+
+/**
+ * Gets "workspaceTestFiles" setting.
+ * Each element is a glob pattern of the files which can import the
+ * `devDependencies` of the workspace root. The patterns are relative to the
+ * directory of the workspace package.
+ *
+ * 1. This checks `options` property, then returns it if exists.
+ * 2. This checks `settings.node` property, then returns it if exists.
+ * 3. This returns `[]`.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @returns {string[]} A list of glob patterns.
+ */
+module.exports = function getWorkspaceTestFiles(context) {
+    return (
+        get(context.options && context.options[0]) ||
+        get(context.settings && context.settings.node) ||
+        DEFAULT_VALUE
+    )
+}
+
+module.exports.schema = {
+    type: "array",
+    items: { type: "string", minLength: 1 },
+    uniqueItems: true,
+}
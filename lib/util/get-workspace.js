@@ -0,0 +1,207 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const fs = require("fs")
+const path = require("path")
+const Minimatch = require("minimatch").Minimatch
+const Cache = require("./cache")
+const exists = require("./exists")
+const getPackageJson = require("./get-package-json")
+
+const cache = new Cache()
+const IGNORED_DIRS = /^(?:\.|node_modules$)/
+const PNPM_WORKSPACE = "pnpm-workspace.yaml"
+
+/**
+ * Reads the `packages` list of a given `pnpm-workspace.yaml`.
+ * This supports only the block sequence of strings, which pnpm documents.
+ *
+ * @param {string} filePath - The path to `pnpm-workspace.yaml`.
+ * @returns {string[]} The glob patterns of the workspace packages.
+ */
+function readPnpmWorkspace(filePath) {
+    const retv = []
+    let inPackages = false
+
+    for (const line of fs.readFileSync(filePath, "utf8").split(/\r?\n/)) {
+        const content = line.replace(/(?:^|\s)#.*$/, "")
+        if (/^\S/.test(content)) {
+            inPackages = /^packages\s*:\s*$/.test(content)
+        } else if (inPackages) {
+            const m = /^\s+-\s*(["']?)(.+?)\1\s*$/.exec(content)
+            if (m) {
+                retv.push(m[2])
+            }
+        }
+    }
+
+    return retv
+}
+
+/**
+ * Gets the glob patterns of the workspace packages which a given
+ * `package.json` defines.
+ *
+ * - The `workspaces` field of `package.json` (npm and Yarn).
+ * - The `packages` field of `pnpm-workspace.yaml` (pnpm).
+ *
+ * @param {object} info - The `package.json` data.
+ * @returns {string[]|null} The glob patterns, or `null` if the package is
+ *      not a workspace root.
+ */
+function getWorkspacePatterns(info) {
+    const pnpmWorkspace = path.join(path.dirname(info.filePath), PNPM_WORKSPACE)
+    const workspaces =
+        info.workspaces && !Array.isArray(info.workspaces)
+            ? info.workspaces.packages
+            : info.workspaces
+
+    if (Array.isArray(workspaces)) {
+        return workspaces.filter(p => typeof p === "string")
+    }
+    if (exists(pnpmWorkspace)) {
+        return readPnpmWorkspace(pnpmWorkspace)
+    }
+    return null
+}
+
+/**
+ * Normalizes a given glob pattern of workspace packages.
+ * This removes the leading `!` and `./`, and the trailing `/`.
+ *
+ * @param {string} pattern - The glob pattern to normalize.
+ * @returns {string} The normalized pattern.
+ */
+function normalize(pattern) {
+    return pattern.replace(/^!?(?:\.\/)?|\/+$/g, "")
+}
+
+/**
+ * Checks whether or not a given path is a directory.
+ *
+ * @param {string} filePath - The path to check.
+ * @returns {boolean} `true` if the path is a directory. This is `false` if
+ *      the path cannot be stat'ed. E.g., broken symbolic links.
+ */
+function isDirectory(filePath) {
+    try {
+        return fs.statSync(filePath).isDirectory()
+    } catch (_err) {
+        return false
+    }
+}
+
+/**
+ * Finds the directories of the workspace packages.
+ * This doesn't enter the directories which cannot match the patterns.
+ *
+ * @param {string} root - The path to the workspace root.
+ * @param {string[]} patterns - The glob patterns of the workspace packages.
+ *      The patterns which start with `!` exclude directories.
+ * @returns {string[]} The relative paths of the found directories.
+ */
+function findPackageDirs(root, patterns) {
+    const includes = patterns
+        .filter(p => !p.startsWith("!"))
+        .map(p => new Minimatch(normalize(p)))
+    const excludes = patterns
+        .filter(p => p.startsWith("!"))
+        .map(p => new Minimatch(normalize(p)))
+    const retv = []
+    const queue = [""]
+
+    while (queue.length !== 0) {
+        const dir = queue.shift()
+        let entries = []
+        try {
+            entries = fs.readdirSync(path.join(root, dir))
+        } catch (_err) {
+            // ignore.
+        }
+
+        for (const entry of entries) {
+            const relativePath = dir ? `${dir}/${entry}` : entry
+            if (
+                IGNORED_DIRS.test(entry) ||
+                !isDirectory(path.join(root, relativePath))
+            ) {
+                continue
+            }
+
+            if (
+                includes.some(m => m.match(relativePath)) &&
+                !excludes.some(m => m.match(relativePath))
+            ) {
+                retv.push(relativePath)
+            }
+            if (includes.some(m => m.match(relativePath, true))) {
+                queue.push(relativePath)
+            }
+        }
+    }
+
+    return retv
+}
+
+/**
+ * Reads the workspace of a given root `package.json`.
+ *
+ * @param {object} info - The `package.json` data of the workspace root.
+ * @param {string[]} patterns - The glob patterns of the workspace packages.
+ * @returns {object} The workspace. See `getWorkspace()`.
+ */
+function readWorkspace(info, patterns) {
+    const root = path.dirname(info.filePath)
+    const packages = new Map()
+
+    for (const dir of findPackageDirs(root, patterns)) {
+        const packageInfo = getPackageJson(path.join(root, dir, "package.json"))
+        if (
+            packageInfo != null &&
+            path.dirname(packageInfo.filePath) === path.join(root, dir) &&
+            typeof packageInfo.name === "string"
+        ) {
+            packages.set(packageInfo.name, path.dirname(packageInfo.filePath))
+        }
+    }
+
+    return { root, packageJson: info, packages }
+}
+
+/**
+ * Gets the workspace which contains a given file.
+ *
+ * This finds the nearest ancestor `package.json` which has the `workspaces`
+ * field, or which is next to `pnpm-workspace.yaml`.
+ * The workspace is cached per root directory.
+ *
+ * @param {string} filePath - The path to a file.
+ * @returns {object|null} The workspace, or `null` if not found.
+ *      The workspace object has the following properties:
+ *      `root` is the path to the root directory.
+ *      `packageJson` is the data of the root `package.json`.
+ *      `packages` is the map from the names of the workspace packages to
+ *      their directories.
+ */
+module.exports = function getWorkspace(filePath) {
+    let info = getPackageJson(filePath)
+
+    while (info != null) {
+        const patterns = getWorkspacePatterns(info)
+        if (patterns != null) {
+            let workspace = cache.get(info.filePath)
+            if (workspace == null) {
+                workspace = readWorkspace(info, patterns)
+                cache.set(info.filePath, workspace)
+            }
+            return workspace
+        }
+
+        info = getPackageJson(path.dirname(info.filePath))
+    }
+
+    return null
+}
@@ -6,23 +6,293 @@
 
 const path = require("path")
 const resolve = require("resolve")
+const exists = require("./exists")
+const getConditions = require("./get-conditions")
+const getExportsTarget = require("./get-exports-target")
+const getPackageJson = require("./get-package-json")
+const isCoreModule = require("./is-core-module")
+const resolvePackageMap = require("./resolve-package-map")
+const stripNodeScheme = require("./strip-node-scheme")
+
+const has = Function.call.bind(Object.hasOwnProperty)
+const TS_EXTENSIONS = [".ts", ".tsx", ".d.ts"]
+const TS_EXTENSION_MAP = new Map([
+    [".js", [".ts", ".tsx", ".d.ts"]],
+    [".jsx", [".tsx"]],
+    [".mjs", [".mts", ".d.mts"]],
+    [".cjs", [".cts", ".d.cts"]],
+])
+
+/**
+ * Resolve the given module id with the `exports` field of the package.
+ * @param {string} id The module id to resolve.
+ * @param {string} moduleName The name of the package.
+ * @param {object} options The options of node-resolve module.
+ * @param {"import"|"require"} moduleType The type of the import target.
+ * @returns {string|null|undefined} The resolved path.
+ * This is `undefined` if the package does not have the `exports` field.
+ */
+function resolveExports(id, moduleName, options, moduleType) {
+    let packageJsonPath = null
+    try {
+        packageJsonPath = resolve.sync(`${moduleName}/package.json`, {
+            basedir: options.basedir,
+            paths: options.paths,
+        })
+    } catch (_err) {
+        return undefined
+    }
+
+    const packageInfo = getPackageJson(packageJsonPath)
+    if (!packageInfo) {
+        return undefined
+    }
+
+    const target = getExportsTarget(
+        packageInfo,
+        `.${id.slice(moduleName.length)}`,
+        moduleType
+    )
+    if (target == null) {
+        return target
+    }
+
+    const filePath = path.resolve(path.dirname(packageInfo.filePath), target)
+    return exists(filePath) ? filePath : null
+}
+
+/**
+ * Resolve the given package-internal specifier with the `imports` field of
+ * the nearest `package.json`.
+ *
+ * e.g. `#db` -> `/path/to/package/lib/db.js`
+ *
+ * @param {string} id The specifier to resolve. This starts with `#`.
+ * @param {object} options The options of node-resolve module.
+ * @param {"import"|"require"} moduleType The type of the import target.
+ * @returns {string|null} The mapped specifier, or `null` if it's not mapped.
+ * Relative targets are converted to absolute paths.
+ */
+function resolveImports(id, options, moduleType) {
+    // `getPackageJson()` looks up from the directory of a given file.
+    const packageInfo = getPackageJson(
+        path.join(options.basedir, "package.json")
+    )
+    if (!packageInfo) {
+        return null
+    }
+
+    const target = resolvePackageMap(
+        packageInfo.imports,
+        id,
+        getConditions(moduleType)
+    )
+    if (target == null) {
+        return null
+    }
+    if (target.startsWith("./")) {
+        return path.resolve(path.dirname(packageInfo.filePath), target)
+    }
+    if (/^(?:[./\\#]|\w+:)/.test(target)) {
+        return null
+    }
+    return target
+}
+
+/**
+ * Gets the options of node-resolve module which try TypeScript extensions as
+ * well if the `typescript` setting is enabled.
+ *
+ * @param {object} options The options of node-resolve module.
+ * @returns {object} The options to resolve.
+ */
+function getResolveOptions(options) {
+    if (!options.typescript) {
+        return options
+    }
+
+    const extensions = (options.extensions || []).slice()
+    for (const ext of TS_EXTENSIONS) {
+        if (extensions.indexOf(ext) === -1) {
+            extensions.push(ext)
+        }
+    }
+    return Object.assign({}, options, { extensions })
+}
+
+/**
+ * Maps the JavaScript extension of a given path to TypeScript extensions.
+ * TypeScript projects import the source files with the extensions of the
+ * output files.
+ *
+ * e.g. `/path/to/foo.js` -> `/path/to/foo.ts`
+ *
+ * @param {string} filePath The full path to map.
+ * @returns {string|null} The path of the existing TypeScript file, or `null`.
+ */
+function mapTypeScriptExtension(filePath) {
+    const ext = path.extname(filePath)
+    for (const tsExt of TS_EXTENSION_MAP.get(ext) || []) {
+        const tsFilePath = filePath.slice(0, -ext.length) + tsExt
+        if (exists(tsFilePath)) {
+            return tsFilePath
+        }
+    }
+    return null
+}
+
+/**
+ * Gets the candidates of a given specifier from the `paths` compiler option
+ * of `tsconfig.json`.
+ * The key which has the longest prefix before `*` wins.
+ *
+ * e.g. `@app/db` with `{"@app/*": ["src/*"]}` -> `["src/db"]`
+ *
+ * @param {object|null} paths The `paths` compiler option.
+ * @param {string} id The specifier to map.
+ * @returns {string[]} The mapped paths.
+ */
+function getTypeScriptPathsCandidates(paths, id) {
+    if (!paths) {
+        return []
+    }
+    if (has(paths, id) && id.indexOf("*") === -1) {
+        return [].concat(paths[id])
+    }
+
+    let found = null
+    for (const key of Object.keys(paths)) {
+        const star = key.indexOf("*")
+        const prefix = key.slice(0, star)
+        const suffix = key.slice(star + 1)
+        if (
+            star !== -1 &&
+            id.length >= key.length - 1 &&
+            id.startsWith(prefix) &&
+            id.endsWith(suffix) &&
+            (found == null || found.prefix.length < prefix.length)
+        ) {
+            found = { key, prefix, suffix }
+        }
+    }
+    if (found == null) {
+        return []
+    }
+
+    const match = id.slice(found.prefix.length, id.length - found.suffix.length)
+    return []
+        .concat(paths[found.key])
+        .filter(target => typeof target === "string")
+        .map(target => target.replace("*", match))
+}
+
+/**
+ * Resolve the given specifier with the `paths` and `baseUrl` compiler
+ * options of `tsconfig.json`.
+ *
+ * e.g. `@app/db` -> `/path/to/project/src/db.ts`
+ *
+ * @param {string} id The specifier to resolve.
+ * @param {object} options The options of node-resolve module.
+ * It requires `options.typescript`.
+ * @returns {string|null} The resolved path, or `null` if it's not mapped.
+ */
+function resolveTypeScriptPaths(id, options) {
+    const config = options.typescript
+    const candidates = getTypeScriptPathsCandidates(config.paths, id).map(
+        target => path.resolve(config.pathsBasePath, target)
+    )
+    if (config.baseUrl != null) {
+        candidates.push(path.resolve(config.baseUrl, id))
+    }
+
+    for (const candidate of candidates) {
+        try {
+            return resolve.sync(candidate, options)
+        } catch (_err) {
+            const tsFilePath = mapTypeScriptExtension(candidate)
+            if (tsFilePath != null) {
+                return tsFilePath
+            }
+        }
+    }
+    return null
+}
+
+/**
+ * Resolve the given id with the custom resolver of the `resolver` setting.
+ * @param {string|null} moduleName The module name of the id, or `null` if the id is a path.
+ * @param {string} id The id to resolve.
+ * @param {object} options The options of node-resolve module.
+ * It requires `options.resolver`.
+ * @param {"import"|"require"} moduleType The type of the import target.
+ * @returns {string|null} The resolved path.
+ */
+function resolveByResolver(moduleName, id, options, moduleType) {
+    const filePath = options.resolver.resolve(id, {
+        basedir: options.basedir,
+        kind: moduleType,
+        extensions: options.extensions,
+        paths: options.paths,
+    })
+    if (typeof filePath === "string") {
+        return filePath
+    }
+    return moduleName != null ? null : path.resolve(options.basedir, id)
+}
+
+/**
+ * Checks whether or not a given path is a local file.
+ * Local files are absolute paths which are not in `node_modules` directories.
+ * @param {string|null} filePath The path to check.
+ * @returns {boolean} `true` if the path is a local file.
+ */
+function isLocalFile(filePath) {
+    return (
+        filePath != null &&
+        path.isAbsolute(filePath) &&
+        filePath.split(/[/\\]/).indexOf("node_modules") === -1
+    )
+}
 
 /**
  * Resolve the given id to file paths.
- * @param {boolean} isModule The flag which indicates this id is a module.
+ * @param {string|null} moduleName The module name of the id, or `null` if the id is a path.
  * @param {string} id The id to resolve.
  * @param {object} options The options of node-resolve module.
  * It requires `options.basedir`.
+ * @param {"import"|"require"} moduleType The type of the import target.
  * @returns {string|null} The resolved path.
  */
-function getFilePath(isModule, id, options) {
+function getFilePath(moduleName, id, options, moduleType) {
+    if (id.startsWith("node:")) {
+        return isCoreModule(id) ? stripNodeScheme(id) : null
+    }
+    // Core modules take precedence, even if the custom resolver doesn't know.
+    if (isCoreModule(id)) {
+        return id
+    }
+    if (options.resolver) {
+        return resolveByResolver(moduleName, id, options, moduleType)
+    }
+    if (moduleName != null) {
+        const filePath = resolveExports(id, moduleName, options, moduleType)
+        if (filePath !== undefined) {
+            return filePath
+        }
+    }
+
     try {
         return resolve.sync(id, options)
     } catch (_err) {
-        if (isModule) {
+        if (moduleName != null) {
             return null
         }
-        return path.resolve(options.basedir, id)
+
+        const filePath = path.resolve(options.basedir, id)
+        return (
+            (options.typescript && mapTypeScriptExtension(filePath)) || filePath
+        )
     }
 }
 
@@ -52,9 +322,42 @@ module.exports = class ImportTarget {
      * @param {ASTNode} node - The node of a `require()` or a module declaraiton.
      * @param {string} name - The name of an import target.
      * @param {object} options - The options of `node-resolve` module.
+     *      If `options.typescript` exists, this resolves the target with
+     *      `tsconfig.json` as well.
+     *      If `options.resolver` exists, this resolves the target with the
+     *      resolver instead of `node-resolve` module.
+     * @param {"import"|"require"} moduleType - The type of the import target.
+     *      This determines the conditions of the `exports` field.
      */
-    constructor(node, name, options) {
-        const isModule = !/^(?:[./\\]|\w+:)/.test(name)
+    constructor(node, name, options, moduleType) {
+        const resolveOptions = getResolveOptions(options)
+        let mappedName = name.startsWith("#")
+            ? resolveImports(name, resolveOptions, moduleType)
+            : name
+        if (
+            resolveOptions.typescript &&
+            mappedName != null &&
+            !/^(?:[./\\#]|\w+:)/.test(mappedName)
+        ) {
+            mappedName =
+                resolveTypeScriptPaths(mappedName, resolveOptions) || mappedName
+        }
+        const isModule =
+            mappedName != null &&
+            (mappedName.startsWith("node:") ||
+                !/^(?:[./\\]|\w+:)/.test(mappedName))
+        const moduleName = isModule
+            ? getModuleName(stripNodeScheme(mappedName))
+            : null
+        const filePath =
+            mappedName == null
+                ? null
+                : getFilePath(
+                      moduleName,
+                      mappedName,
+                      resolveOptions,
+                      moduleType
+                  )
 
         /**
          * The node of a `require()` or a module declaraiton.
@@ -68,18 +371,37 @@ module.exports = class ImportTarget {
          */
         this.name = name
 
+        /**
+         * The type of this import target.
+         * @type {"import"|"require"}
+         */
+        this.moduleType = moduleType
+
         /**
          * The full path of this import target.
          * If the target is a module and it does not exist then this is `null`.
+         * If the target is a `#` specifier and the `imports` field of
+         * `package.json` does not map it then this is `null`.
+         * If the target is mapped by `paths` or `baseUrl` of `tsconfig.json`
+         * then this is the path of the mapped file.
          * @type {string|null}
          */
-        this.filePath = getFilePath(isModule, name, options)
+        this.filePath = filePath
 
         /**
          * The module name of this import target.
-         * If the target is a relative path then this is `null`.
+         * If the target is a relative path or a path which is mapped by
+         * `tsconfig.json` then this is `null`.
+         * If the target is a `#` specifier then this is the module name of
+         * the mapped specifier.
+         * If the target has the `node:` URL scheme then this is the name
+         * without the scheme.
+         * If the resolver of the `resolver` setting maps the target to a file
+         * outside of `node_modules` directories (e.g. aliases) then this is
+         * `null`.
          * @type {string|null}
          */
-        this.moduleName = isModule ? getModuleName(name) : null
+        this.moduleName =
+            options.resolver && isLocalFile(filePath) ? null : moduleName
     }
 }
@@ -0,0 +1,27 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const resolve = require("resolve")
+const stripNodeScheme = require("./strip-node-scheme")
+
+// The core modules which are available only with the `node:` URL scheme.
+const SCHEME_ONLY_MODULES = new Set(["sea", "sqlite", "test", "test/reporters"])
+
+/**
+ * Checks whether or not a given name is a core module of Node.js.
+ *
+ * e.g. `fs`, `node:fs`, `node:test`
+ *
+ * @param {string} name - The module name to check.
+ * @returns {boolean} `true` if the name is a core module.
+ */
+module.exports = function isCoreModule(name) {
+    if (name.startsWith("node:")) {
+        const id = stripNodeScheme(name)
+        return resolve.isCore(id) || SCHEME_ONLY_MODULES.has(id)
+    }
+    return resolve.isCore(name)
+}
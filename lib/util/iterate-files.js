@@ -0,0 +1,75 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const fs = require("fs")
+const path = require("path")
+
+const IGNORED_DIRS = new Set([".git", "node_modules"])
+
+/**
+ * Gets the stats of a given file.
+ *
+ * @param {string} filePath - The path to the file.
+ * @returns {fs.Stats|null} The stats, or `null` if the file cannot be
+ *      stat'ed. E.g., broken symbolic links.
+ */
+function getStat(filePath) {
+    try {
+        return fs.statSync(filePath)
+    } catch (_err) {
+        return null
+    }
+}
+
+/**
+ * Iterates the relative paths of the files in a given directory recursively.
+ *
+ * @param {string} basedir - The directory which the paths are relative to.
+ * @param {string} dir - The relative path to the directory to iterate.
+ * @param {Set<string>} visited - The real paths of the visited directories.
+ *      Symbolic links can make cycles, so this iterates each directory once.
+ * @returns {IterableIterator<string>} The relative paths of the files.
+ */
+function* iterateFilesInDir(basedir, dir, visited) {
+    let entries = null
+    try {
+        const dirPath = path.join(basedir, dir)
+        const realPath = fs.realpathSync(dirPath)
+        if (visited.has(realPath)) {
+            return
+        }
+        visited.add(realPath)
+        entries = fs.readdirSync(dirPath)
+    } catch (_err) {
+        return
+    }
+
+    for (const entry of entries) {
+        const relativePath = dir ? `${dir}/${entry}` : entry
+        const stat = getStat(path.join(basedir, relativePath))
+
+        if (stat == null) {
+            continue
+        }
+        if (stat.isFile()) {
+            yield relativePath
+        } else if (stat.isDirectory() && !IGNORED_DIRS.has(entry)) {
+            yield* iterateFilesInDir(basedir, relativePath, visited)
+        }
+    }
+}
+
+/**
+ * Iterates the relative paths of the files in a given directory recursively.
+ * `node_modules` and `.git` are skipped.
+ *
+ * @param {string} basedir - The directory which the paths are relative to.
+ * @param {string} dir - The relative path to the directory to iterate.
+ * @returns {IterableIterator<string>} The relative paths of the files.
+ */
+module.exports = function iterateFiles(basedir, dir) {
+    return iterateFilesInDir(basedir, dir, new Set())
+}
@@ -0,0 +1,69 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const fs = require("fs")
+const path = require("path")
+const resolve = require("resolve")
+
+/**
+ * Loads the parser of a given path.
+ * The default parser (`espree`) is a dependency of ESLint, so this finds the
+ * parser from the location of ESLint if this plugin cannot find it.
+ *
+ * @param {string} parserPath - The path or the name of the parser.
+ * @returns {object} The parser.
+ */
+function loadParser(parserPath) {
+    try {
+        return require(parserPath)
+    } catch (_err) {
+        const basedir = path.dirname(require.resolve("eslint/package.json"))
+        return require(resolve.sync(parserPath, { basedir }))
+    }
+}
+
+/**
+ * Parses a given file with the parser of the current configuration.
+ * This tries to parse the file as an ES module first, then as a script.
+ *
+ * Don't cache the AST.
+ *
+ * @param {RuleContext} context - The rule context.
+ * @param {string} filePath - The path to the file to parse.
+ * @returns {ASTNode|null} The AST, or `null` if it failed to parse the file.
+ */
+module.exports = function parseFile(context, filePath) {
+    let text = null
+    let parser = null
+    try {
+        text = fs
+            .readFileSync(filePath, "utf8")
+            .replace(/^\uFEFF/, "")
+            .replace(/^#!([^\r\n]*)/, "//$1")
+        parser = loadParser(context.parserPath || "espree")
+    } catch (_err) {
+        return null
+    }
+
+    const parserOptions = context.parserOptions || {}
+    for (const sourceType of ["module", "script"]) {
+        const options = Object.assign({}, parserOptions, {
+            ecmaVersion: Math.max(parserOptions.ecmaVersion || 0, 6),
+            sourceType,
+            loc: true,
+            range: true,
+            filePath,
+        })
+        try {
+            return typeof parser.parseForESLint === "function"
+                ? parser.parseForESLint(text, options).ast
+                : parser.parse(text, options)
+        } catch (_err) {
+            // try the next.
+        }
+    }
+    return null
+}
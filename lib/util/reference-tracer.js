@@ -4,7 +4,9 @@
  */
 "use strict"
 
-const getValueIfString = require("../util/get-value-if-string")
+const getInnermostScope = require("./get-innermost-scope")
+const getValueIfString = require("./get-value-if-string")
+const stripNodeScheme = require("./strip-node-scheme")
 
 const READ = Symbol("read")
 const CALL = Symbol("call")
@@ -44,27 +46,6 @@ function getPropertyName(node) {
     return null
 }
 
-/**
- * Get the innermost scope which contains a given location.
- * @param {escope.Scope} initialScope The initial scope to search.
- * @param {number} location The location to search.
- * @returns {escope.Scope} The innermost scope.
- */
-function getInnermostScope(initialScope, location) {
-    let scope = initialScope
-    while (scope.childScopes.length !== 0) {
-        for (const childScope of scope.childScopes) {
-            const range = childScope.block.range
-
-            if (range[0] <= location && location < range[1]) {
-                scope = childScope
-                break
-            }
-        }
-    }
-    return scope
-}
-
 /**
  * Iterate all entry of a given trace map.
  * @param {Node} node The AST node to report.
@@ -160,7 +141,8 @@ class ReferenceTracer {
             ) {
                 continue
             }
-            const key = getValueIfString(callNode.arguments[0])
+            const rawKey = getValueIfString(callNode.arguments[0])
+            const key = rawKey && stripNodeScheme(rawKey)
 
             if (key == null || !has(traceMap, key)) {
                 continue
@@ -192,7 +174,7 @@ class ReferenceTracer {
             if (!IMPORT_TYPE.test(node.type) || node.source == null) {
                 continue
             }
-            const moduleId = node.source.value
+            const moduleId = stripNodeScheme(node.source.value)
 
             if (!has(traceMap, moduleId)) {
                 continue
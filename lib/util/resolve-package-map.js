@@ -0,0 +1,145 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const has = Function.call.bind(Object.hasOwnProperty)
+
+/**
+ * Resolves a target of the `exports`/`imports` field of `package.json`.
+ *
+ * See Also: https://nodejs.org/api/esm.html#esm_resolver_algorithm_specification
+ * (`PACKAGE_TARGET_RESOLVE`)
+ *
+ * @param {any} target - The target value to resolve.
+ * @param {string|null} patternMatch - The string which matched to `*`.
+ * @param {Set<string>} conditions - The set of active conditions.
+ * @returns {string|null|undefined} The resolved target.
+ *      `null` means the target is blocked explicitly.
+ *      `undefined` means no condition matched.
+ */
+function resolveTarget(target, patternMatch, conditions) {
+    if (typeof target === "string") {
+        return patternMatch == null
+            ? target
+            : target.split("*").join(patternMatch)
+    }
+
+    if (Array.isArray(target)) {
+        for (const item of target) {
+            const resolved = resolveTarget(item, patternMatch, conditions)
+            if (resolved !== undefined) {
+                return resolved
+            }
+        }
+        return undefined
+    }
+
+    if (target && typeof target === "object") {
+        for (const key of Object.keys(target)) {
+            if (key === "default" || conditions.has(key)) {
+                const resolved = resolveTarget(
+                    target[key],
+                    patternMatch,
+                    conditions
+                )
+                if (resolved !== undefined) {
+                    return resolved
+                }
+            }
+        }
+        return undefined
+    }
+
+    return null
+}
+
+/**
+ * Compares two pattern keys as `PATTERN_KEY_COMPARE` of Node.js.
+ * The key which has the longer prefix before `*` wins.
+ *
+ * @param {string} a - A pattern key to compare.
+ * @param {string} b - Another pattern key to compare.
+ * @returns {number} Negative if `a` should be used, positive if `b` should be used.
+ */
+function comparePatternKeys(a, b) {
+    const aBase = a.indexOf("*")
+    const bBase = b.indexOf("*")
+
+    if (aBase !== bBase) {
+        return bBase - aBase
+    }
+    return b.length - a.length
+}
+
+/**
+ * Finds the pattern key which matches a given key.
+ *
+ * @param {object} map - The map of the `exports`/`imports` field.
+ * @param {string} key - The key to find.
+ * @returns {{patternKey:string,patternMatch:string}|null} The found pattern key and the string which matched to `*`.
+ */
+function findPatternKey(map, key) {
+    let retv = null
+
+    for (const patternKey of Object.keys(map)) {
+        const star = patternKey.indexOf("*")
+        if (star === -1 || patternKey.indexOf("*", star + 1) !== -1) {
+            continue
+        }
+
+        const prefix = patternKey.slice(0, star)
+        const suffix = patternKey.slice(star + 1)
+        if (
+            key !== prefix &&
+            key.startsWith(prefix) &&
+            key.length >= patternKey.length &&
+            key.endsWith(suffix) &&
+            (retv == null ||
+                comparePatternKeys(retv.patternKey, patternKey) > 0)
+        ) {
+            retv = {
+                patternKey,
+                patternMatch: key.slice(
+                    prefix.length,
+                    key.length - suffix.length
+                ),
+            }
+        }
+    }
+
+    return retv
+}
+
+/**
+ * Resolves a given key with a map of the `exports`/`imports` field of
+ * `package.json`.
+ * The map supports conditional entries and `*` patterns.
+ *
+ * e.g. `resolvePackageMap({"./*": {"import": "./esm/*.js"}}, "./a", new Set(["import"]))` -> `./esm/a.js`
+ *
+ * @param {object} map - The map of the `exports`/`imports` field.
+ * @param {string} key - The key to resolve. E.g. `"./foo"`, `"#db"`.
+ * @param {Set<string>} conditions - The set of active conditions.
+ *      `"default"` is always active.
+ * @returns {string|null} The resolved target, or `null` if it was not mapped.
+ */
+module.exports = function resolvePackageMap(map, key, conditions) {
+    if (!map || typeof map !== "object" || Array.isArray(map)) {
+        return null
+    }
+
+    if (has(map, key) && key.indexOf("*") === -1) {
+        return resolveTarget(map[key], null, conditions) || null
+    }
+
+    const found = findPatternKey(map, key)
+    if (found == null) {
+        return null
+    }
+    return (
+        resolveTarget(map[found.patternKey], found.patternMatch, conditions) ||
+        null
+    )
+}
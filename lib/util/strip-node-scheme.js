@@ -0,0 +1,19 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const NODE_SCHEME = /^node:/
+
+/**
+ * Strips the `node:` URL scheme from a given module name.
+ *
+ * e.g. `node:fs` -> `fs`
+ *
+ * @param {string} name - The module name to strip.
+ * @returns {string} The module name without the `node:` URL scheme.
+ */
+module.exports = function stripNodeScheme(name) {
+    return name.replace(NODE_SCHEME, "")
+}
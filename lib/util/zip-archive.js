@@ -0,0 +1,140 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const fs = require("fs")
+const zlib = require("zlib")
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50
+const STORED = 0
+const DEFLATED = 8
+
+/**
+ * Finds the offset of the end of central directory record.
+ *
+ * @param {Buffer} buffer - The content of the archive.
+ * @returns {number} The offset, or `-1` if not found.
+ */
+function findEndOfCentralDirectory(buffer) {
+    // The record has a comment up to 65535 bytes.
+    const min = Math.max(0, buffer.length - 22 - 0xffff)
+    for (let i = buffer.length - 22; i >= min; --i) {
+        if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+            return i
+        }
+    }
+    return -1
+}
+
+/**
+ * The reader of ZIP archives.
+ * Yarn Plug'n'Play stores packages as ZIP archives.
+ *
+ * This reads the central directory only, so it supports the stored and
+ * deflated entries.
+ */
+module.exports = class ZipArchive {
+    /**
+     * Initialize this archive.
+     * @param {string} filePath - The path to the archive file.
+     */
+    constructor(filePath) {
+        this.buffer = fs.readFileSync(filePath)
+        this.entries = new Map()
+        this.directories = new Set([""])
+
+        const end = findEndOfCentralDirectory(this.buffer)
+        if (end === -1) {
+            return
+        }
+
+        const count = this.buffer.readUInt16LE(end + 10)
+        let offset = this.buffer.readUInt32LE(end + 16)
+        for (let i = 0; i < count; ++i) {
+            if (this.buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+                break
+            }
+
+            const nameLength = this.buffer.readUInt16LE(offset + 28)
+            const extraLength = this.buffer.readUInt16LE(offset + 30)
+            const commentLength = this.buffer.readUInt16LE(offset + 32)
+            const name = this.buffer.toString(
+                "utf8",
+                offset + 46,
+                offset + 46 + nameLength
+            )
+
+            if (name.endsWith("/")) {
+                this.addDirectories(name.slice(0, -1))
+            } else {
+                this.addDirectories(name.slice(0, name.lastIndexOf("/")))
+                this.entries.set(name, {
+                    method: this.buffer.readUInt16LE(offset + 10),
+                    size: this.buffer.readUInt32LE(offset + 20),
+                    offset: this.buffer.readUInt32LE(offset + 42),
+                })
+            }
+
+            offset += 46 + nameLength + extraLength + commentLength
+        }
+    }
+
+    /**
+     * Adds a given directory and its ancestors.
+     * @param {string} name - The path of the directory in this archive.
+     * @returns {void}
+     */
+    addDirectories(name) {
+        let dirPath = name
+        while (dirPath !== "" && !this.directories.has(dirPath)) {
+            this.directories.add(dirPath)
+            dirPath = dirPath.slice(0, Math.max(0, dirPath.lastIndexOf("/")))
+        }
+    }
+
+    /**
+     * Checks whether or not a given path is a file in this archive.
+     * @param {string} name - The path in this archive. E.g. `a/b.js`.
+     * @returns {boolean} `true` if the path is a file.
+     */
+    isFile(name) {
+        return this.entries.has(name)
+    }
+
+    /**
+     * Checks whether or not a given path is a directory in this archive.
+     * @param {string} name - The path in this archive. E.g. `a/b`.
+     * @returns {boolean} `true` if the path is a directory.
+     */
+    isDirectory(name) {
+        return this.directories.has(name.replace(/\/$/, ""))
+    }
+
+    /**
+     * Reads the content of a given file in this archive.
+     * @param {string} name - The path in this archive. E.g. `a/b.js`.
+     * @returns {Buffer|null} The content, or `null` if it cannot be read.
+     */
+    readFile(name) {
+        const entry = this.entries.get(name)
+        if (entry == null) {
+            return null
+        }
+
+        const nameLength = this.buffer.readUInt16LE(entry.offset + 26)
+        const extraLength = this.buffer.readUInt16LE(entry.offset + 28)
+        const start = entry.offset + 30 + nameLength + extraLength
+        const data = this.buffer.slice(start, start + entry.size)
+
+        if (entry.method === STORED) {
+            return data
+        }
+        if (entry.method === DEFLATED) {
+            return zlib.inflateRawSync(data)
+        }
+        return null
+    }
+}
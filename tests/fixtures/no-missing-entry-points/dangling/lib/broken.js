@@ -0,0 +1 @@
+missing.js
\ No newline at end of file
@@ -0,0 +1,2 @@
+module.exports = function() {}
+module.exports.a = 1
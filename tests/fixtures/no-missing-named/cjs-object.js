@@ -0,0 +1,2 @@
+const c = 0
+module.exports = { a: 1, b() {}, c }
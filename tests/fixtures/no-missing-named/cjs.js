@@ -0,0 +1,3 @@
+exports.a = 1
+module.exports.b = 2
+Object.defineProperty(exports, "c", { value: 3 })
@@ -0,0 +1,2 @@
+export * from "./cycle-b.js"
+export const a = 1
@@ -0,0 +1,2 @@
+export * from "./cycle-a.js"
+export const b = 1
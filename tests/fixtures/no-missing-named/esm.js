@@ -0,0 +1,7 @@
+export const a = 1
+export function b() {}
+export class C {}
+export const { d, e: [f] } = {}
+const g = 1
+export { g as h }
+export default 0
@@ -0,0 +1,2 @@
+export * from "./cjs-function.js"
+export const a = 1
@@ -0,0 +1,2 @@
+export * from "./esm.js"
+export { a as x } from "./cjs.js"
@@ -0,0 +1,10 @@
+"use strict"
+
+exports.a = 1
+module.exports.b = 2
+module.exports["c"] = 3
+Object.defineProperty(exports, "d", { enumerable: true, value: 4 })
+
+if (process.env.DEBUG) {
+    exports.e = 5
+}
@@ -0,0 +1,4 @@
+"use strict"
+
+__export(require("./cycle-b"))
+exports.a = 1
@@ -0,0 +1,4 @@
+"use strict"
+
+__export(require("./cycle-a"))
+exports.b = 2
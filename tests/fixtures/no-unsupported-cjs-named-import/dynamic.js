@@ -0,0 +1,6 @@
+"use strict"
+
+const names = ["a", "b"]
+for (const name of names) {
+    exports[name] = name
+}
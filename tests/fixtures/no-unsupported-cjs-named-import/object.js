@@ -0,0 +1,11 @@
+"use strict"
+
+const a = 1
+const b = 2
+
+module.exports = {
+    a,
+    b: b,
+    c: function c() {},
+    d: 4,
+}
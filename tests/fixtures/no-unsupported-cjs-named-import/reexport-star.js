@@ -0,0 +1,4 @@
+"use strict"
+
+__exportStar(require("./object"), exports)
+exports.f = 6
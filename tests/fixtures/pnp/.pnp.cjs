@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/* eslint-disable */
+"use strict";
+
+const RAW_RUNTIME_STATE =
+'{\
+  "__info": [\
+    "This file is a fixture which simulates Yarn Plug\'n\'Play."\
+  ],\
+  "dependencyTreeRoots": [\
+    {\
+      "name": "pnp-test",\
+      "reference": "workspace:."\
+    }\
+  ],\
+  "enableTopLevelFallback": true,\
+  "ignorePatternData": null,\
+  "fallbackExclusionList": [],\
+  "fallbackPool": [\
+    [\
+      "bbb",\
+      "npm:1.0.0"\
+    ]\
+  ],\
+  "packageRegistryData": [\
+    [\
+      null,\
+      [\
+        [\
+          null,\
+          {\
+            "packageLocation": "./",\
+            "packageDependencies": [\
+              [\
+                "aaa",\
+                "npm:1.0.0"\
+              ],\
+              [\
+                "exports-pkg",\
+                "npm:1.0.0"\
+              ]\
+            ],\
+            "linkType": "SOFT"\
+          }\
+        ]\
+      ]\
+    ],\
+    [\
+      "aaa",\
+      [\
+        [\
+          "npm:1.0.0",\
+          {\
+            "packageLocation": "./.yarn/cache/aaa-npm-1.0.0-0123456789-abcdef0123.zip/node_modules/aaa/",\
+            "packageDependencies": [\
+              [\
+                "aaa",\
+                "npm:1.0.0"\
+              ]\
+            ],\
+            "linkType": "HARD"\
+          }\
+        ]\
+      ]\
+    ],\
+    [\
+      "bbb",\
+      [\
+        [\
+          "npm:1.0.0",\
+          {\
+            "packageLocation": "./.yarn/cache/bbb-npm-1.0.0-0123456789-abcdef0123.zip/node_modules/bbb/",\
+            "packageDependencies": [\
+              [\
+                "bbb",\
+                "npm:1.0.0"\
+              ]\
+            ],\
+            "linkType": "HARD"\
+          }\
+        ]\
+      ]\
+    ],\
+    [\
+      "exports-pkg",\
+      [\
+        [\
+          "npm:1.0.0",\
+          {\
+            "packageLocation": "./.yarn/cache/exports-pkg-npm-1.0.0-0123456789-abcdef0123.zip/node_modules/exports-pkg/",\
+            "packageDependencies": [\
+              [\
+                "exports-pkg",\
+                "npm:1.0.0"\
+              ]\
+            ],\
+            "linkType": "HARD"\
+          }\
+        ]\
+      ]\
+    ],\
+    [\
+      "pnp-test",\
+      [\
+        [\
+          "workspace:.",\
+          {\
+            "packageLocation": "./",\
+            "packageDependencies": [\
+              [\
+                "aaa",\
+                "npm:1.0.0"\
+              ],\
+              [\
+                "exports-pkg",\
+                "npm:1.0.0"\
+              ],\
+              [\
+                "pnp-test",\
+                "workspace:."\
+              ]\
+            ],\
+            "linkType": "SOFT"\
+          }\
+        ]\
+      ]\
+    ]\
+  ]\
+}';
+
+function $$SETUP_STATE(hydrateRuntimeState, basePath) {
+  return hydrateRuntimeState(JSON.parse(RAW_RUNTIME_STATE), {basePath: basePath || __dirname});
+}
@@ -0,0 +1,44 @@
+/**
+ * A custom resolver to test the `resolver` setting.
+ *
+ * - `@alias/*` is mapped to `src/*`.
+ * - `@test/*` is mapped to `test/*`.
+ * - `~esm` is resolved only from `import` declarations.
+ * - Others are resolved by the `resolve` package.
+ *
+ * It returns the resolved path, or `null` if not found.
+ * It doesn't know core modules, so it returns `null` for them.
+ */
+"use strict"
+
+const path = require("path")
+const resolve = require("resolve")
+
+module.exports = {
+    resolve(specifier, options) {
+        const basedir = options.basedir
+        const extensions = options.extensions
+        const paths = options.paths
+
+        if (specifier.startsWith("@alias/")) {
+            specifier = path.join(__dirname, "src", specifier.slice(7))
+        } else if (specifier.startsWith("@test/")) {
+            specifier = path.join(__dirname, "test", specifier.slice(6))
+        } else if (specifier === "~esm") {
+            return options.kind === "import"
+                ? path.join(__dirname, "src/esm.mjs")
+                : null
+        }
+
+        try {
+            return resolve.sync(specifier, {
+                basedir,
+                extensions,
+                includeCoreModules: false,
+                paths,
+            })
+        } catch (_err) {
+            return null
+        }
+    },
+}
@@ -0,0 +1,11 @@
+/**
+ * A custom resolver which doesn't resolve anything.
+ * It returns `null` always.
+ */
+"use strict"
+
+module.exports = {
+    resolve() {
+        return null
+    },
+}
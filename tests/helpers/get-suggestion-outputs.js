@@ -0,0 +1,79 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const Linter = require("eslint").Linter
+const ruleFixer = require("eslint/lib/util/rule-fixer")
+
+/**
+ * Applies a given fix to a given code.
+ * @param {string} code - The code.
+ * @param {object|object[]} fix - The fix object or the array of fix objects.
+ * @returns {string} The fixed code.
+ */
+function applyFix(code, fix) {
+    return []
+        .concat(fix)
+        .sort((a, b) => b.range[0] - a.range[0])
+        .reduce(
+            (text, { range, text: replacement }) =>
+                text.slice(0, range[0]) + replacement + text.slice(range[1]),
+            code
+        )
+}
+
+/**
+ * Lints a given test case with a given rule, then applies each suggestion of
+ * the reported problems.
+ *
+ * `RuleTester` of ESLint 4 ignores the `suggest` property of reports, so this
+ * captures the reports which the rule makes.
+ *
+ * @param {object} rule - The rule definition.
+ * @param {object} item - The test case. It has `code` and optional `env`,
+ *      `filename`, `options`, `parser`, `parserOptions`, and `settings`.
+ * @returns {Array<object[]>} The suggestions of each report. Each suggestion
+ *      has `desc` and `output` properties.
+ */
+module.exports = function getSuggestionOutputs(rule, item) {
+    const linter = new Linter()
+    const suggestions = []
+
+    linter.defineRule("test", {
+        meta: rule.meta,
+        create(context) {
+            const proxy = Object.create(context, {
+                report: {
+                    value(descriptor) {
+                        suggestions.push(
+                            (descriptor.suggest || []).map(suggestion => ({
+                                desc: suggestion.desc,
+                                output: applyFix(
+                                    item.code,
+                                    suggestion.fix(ruleFixer)
+                                ),
+                            }))
+                        )
+                        context.report(descriptor)
+                    },
+                },
+            })
+            return rule.create(proxy)
+        },
+    })
+    linter.verify(
+        item.code,
+        {
+            env: item.env,
+            parser: item.parser,
+            parserOptions: item.parserOptions,
+            rules: { test: ["error"].concat(item.options || []) },
+            settings: item.settings,
+        },
+        item.filename
+    )
+
+    return suggestions
+}
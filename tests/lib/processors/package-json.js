@@ -0,0 +1,253 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const assert = require("assert")
+const fs = require("fs")
+const path = require("path")
+const CLIEngine = require("eslint").CLIEngine
+const plugin = require("../../../lib")
+const processor = require("../../../lib/processors/package-json")
+
+const CONFIG_PATH = require.resolve("../../../lib/configs/package-json.json")
+
+/**
+ * Makes a file path to a fixture.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function fixture(name) {
+    return path.resolve(__dirname, "../../fixtures/package-json", name)
+}
+
+/**
+ * Adds this plugin and the processor to a given engine.
+ *
+ * `eslint-plugin-node` in `node_modules` is not this plugin, so this adds
+ * this plugin by `addPlugin()`.
+ * ESLint 4 doesn't support the `processor` setting, so this registers the
+ * processor for `.json` files as the same as
+ * `{"files": ["package.json"], "processor": "node/package-json"}`.
+ *
+ * @param {CLIEngine} engine - The engine to add.
+ * @param {object} [rules] - The additional rules of this plugin.
+ * @returns {void}
+ */
+function addPlugins(engine, rules) {
+    engine.addPlugin(
+        "eslint-plugin-node",
+        Object.assign({}, plugin, {
+            rules: Object.assign({}, plugin.rules, rules),
+        })
+    )
+    engine.addPlugin("eslint-plugin-package-json-processor", {
+        processors: { ".json": plugin.processors["package-json"] },
+    })
+}
+
+/**
+ * Lints a given fixture with the `package-json` config.
+ * The config is extended as the same as `plugin:node/package-json`.
+ *
+ * @param {string} name - The name of the fixture.
+ * @param {object} [options] - The additional options of `CLIEngine`.
+ * @returns {object} The result of the fixture.
+ */
+function lint(name, options) {
+    const engine = new CLIEngine(
+        Object.assign(
+            {
+                baseConfig: { extends: CONFIG_PATH },
+                cwd: fixture(""),
+                extensions: [".json"],
+                useEslintrc: false,
+            },
+            options
+        )
+    )
+    addPlugins(engine)
+
+    return engine.executeOnFiles([fixture(name)]).results[0]
+}
+
+/**
+ * Lints a given fixture, then gets the locations of the messages.
+ * @param {string} name - The name of the fixture.
+ * @param {object} [rules] - The additional rules.
+ * @returns {object[]} The messages.
+ */
+function getMessages(name, rules) {
+    return lint(name, { rules }).messages.map(message => ({
+        ruleId: message.ruleId,
+        line: message.line,
+        column: message.column,
+    }))
+}
+
+describe("package-json processor", () => {
+    it("should be the named processor which users opt into", () => {
+        assert.strictEqual(plugin.processors["package-json"], processor)
+        assert.strictEqual(plugin.processors[".json"], undefined)
+        assert.strictEqual(plugin.configs["package-json"], require(CONFIG_PATH))
+    })
+
+    it("should report the problems of package.json at JSON locations", () => {
+        assert.deepStrictEqual(getMessages("invalid/package.json"), [
+            { ruleId: "node/no-missing-bin", line: 4, column: 12 },
+            { ruleId: "node/no-unmatched-files", line: 5, column: 15 },
+            { ruleId: "node/no-invalid-engines", line: 7, column: 17 },
+            { ruleId: "node/no-duplicate-dependencies", line: 13, column: 9 },
+        ])
+    })
+
+    it("should report the locations of the first line correctly", () => {
+        assert.deepStrictEqual(
+            getMessages("invalid/package.json", {
+                "node/no-missing-bin": "off",
+            }).length,
+            3
+        )
+        processor.preprocess("{}", "package.json")
+        assert.deepStrictEqual(
+            processor.postprocess(
+                [
+                    [
+                        {
+                            ruleId: "node/x",
+                            line: 1,
+                            column: 3,
+                            endLine: 1,
+                            endColumn: 5,
+                        },
+                    ],
+                ],
+                "package.json"
+            ),
+            [{ ruleId: "node/x", line: 1, column: 2, endLine: 1, endColumn: 4 }]
+        )
+    })
+
+    it("should keep the problems of other rules in package.json", () => {
+        assert.deepStrictEqual(
+            getMessages("invalid/package.json", {
+                "node/no-duplicate-dependencies": "off",
+                "node/no-invalid-engines": "off",
+                "node/no-missing-bin": "off",
+                "node/no-unmatched-files": "off",
+                "no-unused-expressions": "error",
+            }),
+            [{ ruleId: "no-unused-expressions", line: 1, column: 1 }]
+        )
+    })
+
+    it("should lint other JSON files as they are", () => {
+        const result = lint("other/data.json", {
+            fix: true,
+            rules: { quotes: ["error", "single"] },
+        })
+
+        assert.deepStrictEqual(result.messages, [])
+        assert.strictEqual(result.output, "['a']\n")
+        assert.deepStrictEqual(processor.preprocess('["a"]', "data.json"), [
+            '["a"]',
+        ])
+    })
+
+    it("should not apply the rules of package.json to other JSON files", () => {
+        assert.deepStrictEqual(
+            getMessages("invalid/index.json").map(message => message.ruleId),
+            [null]
+        )
+    })
+
+    it("should convert the fixes to the ranges in package.json", () => {
+        const engine = new CLIEngine({
+            baseConfig: { extends: CONFIG_PATH },
+            cwd: fixture(""),
+            extensions: [".json"],
+            fix: true,
+            rules: { "node/test-fix": "error" },
+            useEslintrc: false,
+        })
+        addPlugins(engine, {
+            "test-fix": {
+                meta: { fixable: "code" },
+                create: context => ({
+                    Literal(node) {
+                        if (node.value === "0.0.0") {
+                            context.report({
+                                node,
+                                message: "fix",
+                                fix: fixer =>
+                                    fixer.replaceText(node, '"1.0.0"'),
+                            })
+                        }
+                    },
+                }),
+            },
+        })
+        const filePath = fixture("invalid/package.json")
+        const result = engine.executeOnText(
+            fs.readFileSync(filePath, "utf8"),
+            filePath
+        ).results[0]
+
+        assert.strictEqual(
+            result.output,
+            fs
+                .readFileSync(filePath, "utf8")
+                .replace('"version": "0.0.0"', '"version": "1.0.0"')
+        )
+    })
+
+    it("should remove the fixes which modify the added parentheses", () => {
+        processor.preprocess('{"a": 1}', "package.json")
+        assert.deepStrictEqual(
+            processor.postprocess(
+                [
+                    [
+                        {
+                            ruleId: "node/x",
+                            line: 1,
+                            column: 3,
+                            fix: { range: [2, 5], text: "b" },
+                        },
+                        {
+                            ruleId: "node/x",
+                            line: 1,
+                            column: 1,
+                            fix: { range: [0, 1], text: "" },
+                        },
+                        {
+                            ruleId: "node/x",
+                            line: 2,
+                            column: 1,
+                            fix: { range: [9, 11], text: "" },
+                        },
+                    ],
+                ],
+                "package.json"
+            ),
+            [
+                {
+                    ruleId: "node/x",
+                    line: 1,
+                    column: 2,
+                    fix: { range: [1, 4], text: "b" },
+                },
+                { ruleId: "node/x", line: 1, column: 1 },
+                { ruleId: "node/x", line: 2, column: 1 },
+            ]
+        )
+    })
+
+    it("should remove BOM", () => {
+        assert.deepStrictEqual(
+            processor.preprocess("\uFEFF{}", "package.json"),
+            ["({}\n)"]
+        )
+        processor.postprocess([[]], "package.json")
+    })
+})
@@ -0,0 +1,183 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const RuleTester = require("eslint").RuleTester
+const rule = require("../../../lib/rules/file-extension-in-import")
+
+/**
+ * Makes a file path to a fixture.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function fixture(name) {
+    return path.resolve(
+        __dirname,
+        "../../fixtures/file-extension-in-import",
+        name
+    )
+}
+
+const ruleTester = new RuleTester({
+    parserOptions: { ecmaVersion: 2015, sourceType: "module" },
+})
+ruleTester.run("file-extension-in-import", rule, {
+    valid: [
+        {
+            code: "import a from './foo.js';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from './dir/index.js';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from '../file-extension-in-import/foo.js';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from './x.js';",
+            filename: fixture("sub/test.js"),
+        },
+        {
+            code: "import a from 'eslint';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import fs from 'fs';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from './no-exist';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from './bar';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from './foo';",
+            filename: "<input>",
+        },
+
+        // Not ES modules.
+        {
+            code: "import a from './foo';",
+            filename: fixture("test.cjs"),
+        },
+        {
+            code: "import a from './foo';",
+            filename: fixture("commonjs/test.js"),
+        },
+        {
+            code: "import a from './a';",
+            filename: fixture("../no-missing/test.js"),
+        },
+    ],
+    invalid: [
+        {
+            code: "import a from './foo';",
+            output: "import a from './foo.js';",
+            errors: ['"./foo" is not fully specified. Use "./foo.js" instead.'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: 'export * from "./foo";',
+            output: 'export * from "./foo.js";',
+            errors: ['"./foo" is not fully specified. Use "./foo.js" instead.'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "export { a } from './foo';",
+            output: "export { a } from './foo.js';",
+            errors: ['"./foo" is not fully specified. Use "./foo.js" instead.'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from './a.config';",
+            output: "import a from './a.config.js';",
+            errors: [
+                '"./a.config" is not fully specified. Use "./a.config.js" instead.',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from './dir';",
+            output: "import a from './dir/index.js';",
+            errors: [
+                '"./dir" is not fully specified. Use "./dir/index.js" instead.',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from './dir/';",
+            output: "import a from './dir/index.js';",
+            errors: [
+                '"./dir/" is not fully specified. Use "./dir/index.js" instead.',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from '..';",
+            output: "import a from '../index.js';",
+            errors: ['".." is not fully specified. Use "../index.js" instead.'],
+            filename: fixture("dir/sub/test.js"),
+        },
+        {
+            code: "import a from '../foo';",
+            output: "import a from '../foo.js';",
+            errors: [
+                '"../foo" is not fully specified. Use "../foo.js" instead.',
+            ],
+            filename: fixture("sub/test.js"),
+        },
+        {
+            code: "import a from './both';",
+            output: null,
+            errors: ['"./both" is not fully specified.'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from './bar';",
+            output: "import a from './bar.js';",
+            options: [
+                {
+                    tryExtensions: [".js", ".ts"],
+                    preferredExtensions: { ".ts": ".js" },
+                },
+            ],
+            errors: ['"./bar" is not fully specified. Use "./bar.js" instead.'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from './bar';",
+            output: "import a from './bar.ts';",
+            errors: ['"./bar" is not fully specified. Use "./bar.ts" instead.'],
+            settings: { node: { tryExtensions: [".js", ".ts"] } },
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from './foo';",
+            output: "import a from './foo.js';",
+            errors: ['"./foo" is not fully specified. Use "./foo.js" instead.'],
+            filename: fixture("commonjs/test.mjs"),
+        },
+        {
+            code: "const a = import('./foo');",
+            output: "const a = import('./foo.js');",
+            errors: ['"./foo" is not fully specified. Use "./foo.js" instead.'],
+            filename: fixture("test.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+        {
+            code: "const a = import(`./foo`);",
+            output: null,
+            errors: ['"./foo" is not fully specified. Use "./foo.js" instead.'],
+            filename: fixture("test.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+    ],
+})
@@ -0,0 +1,117 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const RuleTester = require("eslint").RuleTester
+const rule = require("../../../lib/rules/no-deep-import")
+
+/**
+ * Makes a file path to a fixture.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function fixture(name) {
+    return path.resolve(__dirname, "../../fixtures/no-deep-import", name)
+}
+
+const ruleTester = new RuleTester({
+    parserOptions: { ecmaVersion: 2015, sourceType: "module" },
+})
+ruleTester.run("no-deep-import", rule, {
+    valid: [
+        {
+            code:
+                "import a from 'with-exports'; import b from 'no-exports'; import c from '@scope/pkg';",
+            filename: fixture("test.js"),
+        },
+        {
+            code:
+                "import a from 'with-exports/feature'; import b from 'with-exports/esm-only'; import c from 'with-exports/utils/a'; import d from 'with-exports/package.json';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "export * from 'with-exports/feature';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import fs from 'fs/promises'; import a from './lib/a.js';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from 'no-exist/lib/a.js';",
+            filename: fixture("test.js"),
+        },
+        {
+            code:
+                "import a from 'no-exports/fp'; import b from 'no-exports/lib/internal';",
+            options: [{ allowSubpaths: ["no-exports/fp", "no-exports/lib/*"] }],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from 'no-exports/fp';",
+            settings: { node: { allowSubpaths: ["no-exports/**"] } },
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from 'with-exports/lib/feature.js';",
+            filename: "<input>",
+        },
+    ],
+    invalid: [
+        {
+            code: "import a from 'with-exports/lib/feature.js';",
+            errors: [
+                '"./lib/feature.js" is not exported by the "exports" field of "with-exports".',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from 'with-exports/utils/internal/x';",
+            errors: [
+                '"./utils/internal/x" is not exported by the "exports" field of "with-exports".',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "export { a } from '@scope/pkg/lib/a.js';",
+            errors: [
+                '"./lib/a.js" is not exported by the "exports" field of "@scope/pkg".',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from 'with-exports/lib/feature.js';",
+            options: [{ allowSubpaths: ["with-exports/**"] }],
+            errors: [
+                '"./lib/feature.js" is not exported by the "exports" field of "with-exports".',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from 'no-exports/lib/internal';",
+            errors: [
+                '"no-exports/lib/internal" is a deep import into "no-exports", which doesn\'t have the "exports" field.',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from 'no-exports/lib/internal';",
+            options: [{ allowSubpaths: ["no-exports/*"] }],
+            errors: [
+                '"no-exports/lib/internal" is a deep import into "no-exports", which doesn\'t have the "exports" field.',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "const a = import('with-exports/lib/feature.js');",
+            errors: [
+                '"./lib/feature.js" is not exported by the "exports" field of "with-exports".',
+            ],
+            filename: fixture("test.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+    ],
+})
@@ -0,0 +1,84 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const RuleTester = require("eslint").RuleTester
+const rule = require("../../../lib/rules/no-deep-require")
+
+/**
+ * Makes a file path to a fixture.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function fixture(name) {
+    return path.resolve(__dirname, "../../fixtures/no-deep-import", name)
+}
+
+const ruleTester = new RuleTester({
+    parserOptions: { ecmaVersion: 2015 },
+    env: { node: true },
+})
+ruleTester.run("no-deep-require", rule, {
+    valid: [
+        {
+            code:
+                "require('with-exports'); require('no-exports'); require('@scope/pkg');",
+            filename: fixture("test.js"),
+        },
+        {
+            code:
+                "require('with-exports/feature'); require('with-exports/utils/a'); require('with-exports/package.json');",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('fs/promises'); require('./lib/a.js');",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('no-exist/lib/a.js');",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('no-exports/fp');",
+            options: [{ allowSubpaths: ["no-exports/fp"] }],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('with-exports/lib/feature.js');",
+            filename: "<input>",
+        },
+    ],
+    invalid: [
+        {
+            code: "require('with-exports/lib/feature.js');",
+            errors: [
+                '"./lib/feature.js" is not exported by the "exports" field of "with-exports".',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('with-exports/esm-only');",
+            errors: [
+                '"./esm-only" is not exported by the "exports" field of "with-exports".',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require.resolve('@scope/pkg/lib/a.js');",
+            errors: [
+                '"./lib/a.js" is not exported by the "exports" field of "@scope/pkg".',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('no-exports/lib/internal');",
+            errors: [
+                '"no-exports/lib/internal" is a deep import into "no-exports", which doesn\'t have the "exports" field.',
+            ],
+            filename: fixture("test.js"),
+        },
+    ],
+})
@@ -14,6 +14,12 @@ ruleTester.run("no-deprecated-api", rule, {
             code: "require('buffer').Buffer",
             env: { node: true },
         },
+        // ES modules don't have the `require` variable.
+        {
+            code: "new (require('buffer').Buffer)()",
+            env: { node: true },
+            filename: "a.mjs",
+        },
         {
             code: "foo(require('buffer').Buffer)",
             env: { node: true },
@@ -187,6 +193,20 @@ ruleTester.run("no-deprecated-api", rule, {
             ],
             env: { node: true },
         },
+        {
+            code: "require('node:buffer').Buffer()",
+            errors: [
+                "'buffer.Buffer()' was deprecated since v6. Use 'buffer.Buffer.alloc()' or 'buffer.Buffer.from()' (use 'https://www.npmjs.com/package/safe-buffer' for '<4.5.0') instead.",
+            ],
+            env: { node: true },
+        },
+        {
+            code: "var b = require('buffer'); b.Buffer(); function f() {}",
+            errors: [
+                "'buffer.Buffer()' was deprecated since v6. Use 'buffer.Buffer.alloc()' or 'buffer.Buffer.from()' (use 'https://www.npmjs.com/package/safe-buffer' for '<4.5.0') instead.",
+            ],
+            env: { node: true },
+        },
         {
             code: "require('buffer').Buffer()",
             errors: [
@@ -643,6 +663,31 @@ ruleTester.run("no-deprecated-api", rule, {
         },
 
         // ES2015 Modules
+        {
+            code: "new (require('buffer').Buffer)()",
+            errors: [
+                "'new buffer.Buffer()' was deprecated since v6. Use 'buffer.Buffer.alloc()' or 'buffer.Buffer.from()' (use 'https://www.npmjs.com/package/safe-buffer' for '<4.5.0') instead.",
+            ],
+            env: { node: true },
+            filename: "a.cjs",
+        },
+        {
+            code: "import b from 'buffer'; new b.Buffer()",
+            parserOptions: { sourceType: "module" },
+            errors: [
+                "'new buffer.Buffer()' was deprecated since v6. Use 'buffer.Buffer.alloc()' or 'buffer.Buffer.from()' (use 'https://www.npmjs.com/package/safe-buffer' for '<4.5.0') instead.",
+            ],
+            env: { es6: true },
+            filename: "a.mjs",
+        },
+        {
+            code: "import b from 'node:buffer'; new b.Buffer()",
+            parserOptions: { sourceType: "module" },
+            errors: [
+                "'new buffer.Buffer()' was deprecated since v6. Use 'buffer.Buffer.alloc()' or 'buffer.Buffer.from()' (use 'https://www.npmjs.com/package/safe-buffer' for '<4.5.0') instead.",
+            ],
+            env: { es6: true },
+        },
         {
             code: "import b from 'buffer'; new b.Buffer()",
             parserOptions: { sourceType: "module" },
@@ -0,0 +1,47 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const RuleTester = require("eslint").RuleTester
+const rule = require("../../../lib/rules/no-duplicate-dependencies")
+
+new RuleTester().run("no-duplicate-dependencies", rule, {
+    valid: [
+        {
+            code:
+                '({"dependencies": {"aaa": "^1.0.0"}, "devDependencies": {"bbb": "^1.0.0"}}\n)',
+            filename: "package.json",
+        },
+        {
+            code:
+                '({"dependencies": {"aaa": "^1.0.0"}, "peerDependencies": {"aaa": "^1.0.0"}, "devDependencies": {"bbb": "^1.0.0"}}\n)',
+            filename: "package.json",
+        },
+        {
+            code: '({"devDependencies": {"aaa": "^1.0.0"}}\n)',
+            filename: "package.json",
+        },
+        {
+            code:
+                '({"dependencies": {"aaa": "^1.0.0"}, "devDependencies": {"aaa": "^1.0.0"}}\n)',
+            filename: "index.json",
+        },
+    ],
+    invalid: [
+        {
+            code:
+                '({"dependencies": {"aaa": "^1.0.0", "@b/bbb": "^1.0.0"}, "devDependencies": {"aaa": "^1.0.0", "@b/bbb": "^1.0.0", "ccc": "^1.0.0"}}\n)',
+            errors: [
+                {
+                    message:
+                        "'aaa' is in both 'dependencies' and 'devDependencies' of 'package.json'.",
+                    column: 78,
+                },
+                "'@b/bbb' is in both 'dependencies' and 'devDependencies' of 'package.json'.",
+            ],
+            filename: "package.json",
+        },
+    ],
+})
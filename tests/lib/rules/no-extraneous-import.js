@@ -59,6 +59,41 @@ tester.run("no-extraneous-import", rule, {
             code: "import ccc from 'ccc'",
             filename: fixture("dependencies/a.js"),
         },
+
+        // imports field
+        {
+            code: "import db from '#db'",
+            filename: fixture("imports-field/a.js"),
+        },
+        {
+            code: "import aaa from '#aaa'",
+            filename: fixture("imports-field/a.js"),
+        },
+
+        // import()
+        {
+            code: "import('aaa')",
+            filename: fixture("dependencies/a.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+
+        // tsconfig.json
+        {
+            code: "import db from '@app/db'",
+            filename: fixture("typescript/src/a.ts"),
+            settings: { node: { typescript: true } },
+        },
+
+        // workspaces
+        {
+            code: "import b from 'pkg-b'",
+            filename: fixture("workspaces/packages/pkg-a/index.js"),
+        },
+        {
+            code: "import tool from 'test-tool'",
+            options: [{ workspaceTestFiles: ["test/**"] }],
+            filename: fixture("workspaces/packages/pkg-a/test/a.test.js"),
+        },
     ],
     invalid: [
         {
@@ -81,5 +116,57 @@ tester.run("no-extraneous-import", rule, {
             errors: ['"bbb" is extraneous.'],
             filename: fixture("optionalDependencies/a.js"),
         },
+
+        // imports field
+        {
+            code: "import bbb from '#bbb'",
+            errors: ['"bbb" is extraneous.'],
+            filename: fixture("imports-field/a.js"),
+        },
+
+        // import()
+        {
+            code: "async function f() { await import('bbb') }",
+            errors: ['"bbb" is extraneous.'],
+            filename: fixture("dependencies/a.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+
+        // tsconfig.json
+        {
+            code: "import db from '@app/db'",
+            errors: ['"@app/db" is extraneous.'],
+            filename: fixture("typescript/src/a.ts"),
+        },
+
+        // bundledDependencies
+        {
+            code: "import bbb from 'bbb'",
+            errors: [
+                '"bbb" is in "bundledDependencies", but it is not written in "dependencies".',
+            ],
+            filename: fixture("bundled/a.js"),
+        },
+        {
+            code: "import ccc from 'ccc'",
+            errors: [
+                '"ccc" is in "bundledDependencies", but it is not written in "dependencies".',
+            ],
+            filename: fixture("bundled/a.js"),
+        },
+
+        // workspaces
+        {
+            code: "import c from 'pkg-c'",
+            errors: [
+                '"pkg-c" is a workspace package, but it is not written in "package.json".',
+            ],
+            filename: fixture("workspaces/packages/pkg-a/index.js"),
+        },
+        {
+            code: "import tool from 'test-tool'",
+            errors: ['"test-tool" is extraneous.'],
+            filename: fixture("workspaces/packages/pkg-a/index.js"),
+        },
     ],
 })
@@ -17,6 +17,24 @@ function fixture(name) {
     return path.resolve(__dirname, "../../fixtures/no-extraneous", name)
 }
 
+/**
+ * Makes a file path to a fixture of the `resolver` setting.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function resolverFixture(name) {
+    return path.resolve(__dirname, "../../fixtures/resolver", name)
+}
+
+/**
+ * Makes a file path to a fixture of Yarn Plug'n'Play.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function pnpFixture(name) {
+    return path.resolve(__dirname, "../../fixtures", name)
+}
+
 const tester = new RuleTester({ env: { node: true } })
 
 tester.run("no-extraneous-require", rule, {
@@ -29,10 +47,6 @@ tester.run("no-extraneous-require", rule, {
             code: "require('./bbb')",
             filename: fixture("dependencies/a.js"),
         },
-        {
-            code: "require('b'+'bb')",
-            filename: fixture("dependencies/a.js"),
-        },
         {
             code: "require(bbb)",
             filename: fixture("dependencies/a.js"),
@@ -71,6 +85,56 @@ tester.run("no-extraneous-require", rule, {
             code: "require('ccc')",
             filename: fixture("dependencies/a.js"),
         },
+
+        // imports field
+        {
+            code: "require('#db')",
+            filename: fixture("imports-field/a.js"),
+        },
+        {
+            code: "require('#aaa')",
+            filename: fixture("imports-field/a.js"),
+        },
+
+        // node: URL scheme
+        {
+            code: "require('node:fs'); require('node:no-exist-module')",
+            filename: fixture("dependencies/a.js"),
+        },
+
+        // resolver
+        {
+            code: "require('@alias/db')",
+            filename: resolverFixture("a.js"),
+            settings: { node: { resolver: resolverFixture("index.js") } },
+        },
+
+        // Yarn Plug'n'Play
+        {
+            code: "require('aaa'); require('exports-pkg'); require('ccc')",
+            filename: pnpFixture("pnp/src/a.js"),
+        },
+
+        // bundledDependencies
+        {
+            code: "require('aaa')",
+            filename: fixture("bundled/a.js"),
+        },
+
+        // workspaces
+        {
+            code: "require('pkg-b')",
+            filename: fixture("workspaces/packages/pkg-a/index.js"),
+        },
+        {
+            code: "require('test-tool')",
+            options: [{ workspaceTestFiles: ["test/**"] }],
+            filename: fixture("workspaces/packages/pkg-a/test/a.test.js"),
+        },
+        {
+            code: "require('ignored')",
+            filename: fixture("pnpm-workspaces/packages/x/index.js"),
+        },
     ],
     invalid: [
         {
@@ -93,5 +157,97 @@ tester.run("no-extraneous-require", rule, {
             errors: ['"bbb" is extraneous.'],
             filename: fixture("optionalDependencies/a.js"),
         },
+
+        // imports field
+        {
+            code: "require('#bbb')",
+            errors: ['"bbb" is extraneous.'],
+            filename: fixture("imports-field/a.js"),
+        },
+
+        // static evaluation
+        {
+            code: "require('b'+'bb')",
+            errors: ['"bbb" is extraneous.'],
+            filename: fixture("dependencies/a.js"),
+        },
+        {
+            code: "const name = 'bbb'; require(name)",
+            parserOptions: { ecmaVersion: 2015 },
+            errors: ['"bbb" is extraneous.'],
+            filename: fixture("dependencies/a.js"),
+        },
+
+        // require.resolve() and module.createRequire()
+        {
+            code: "require.resolve('bbb')",
+            errors: ['"bbb" is extraneous.'],
+            filename: fixture("dependencies/a.js"),
+        },
+        {
+            code:
+                "import { createRequire } from 'module'; createRequire(import.meta.url)('bbb')",
+            parserOptions: { sourceType: "module" },
+            errors: ['"bbb" is extraneous.'],
+            filename: fixture("dependencies/a.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+
+        // resolver
+        {
+            code: "require('@alias/db')",
+            errors: ['"@alias/db" is extraneous.'],
+            filename: resolverFixture("a.js"),
+        },
+
+        // Yarn Plug'n'Play
+        {
+            code: "require('bbb')",
+            errors: ['"bbb" is extraneous.'],
+            filename: pnpFixture("pnp/src/a.js"),
+        },
+
+        // bundledDependencies
+        {
+            code: "require('bbb')",
+            errors: [
+                '"bbb" is in "bundledDependencies", but it is not written in "dependencies".',
+            ],
+            filename: fixture("bundled/a.js"),
+        },
+        {
+            code: "require('ccc')",
+            errors: [
+                '"ccc" is in "bundledDependencies", but it is not written in "dependencies".',
+            ],
+            filename: fixture("bundled/a.js"),
+        },
+
+        // workspaces
+        {
+            code: "require('pkg-c')",
+            errors: [
+                '"pkg-c" is a workspace package, but it is not written in "package.json".',
+            ],
+            filename: fixture("workspaces/packages/pkg-a/index.js"),
+        },
+        {
+            code: "require('test-tool')",
+            options: [{ workspaceTestFiles: ["test/**"] }],
+            errors: ['"test-tool" is extraneous.'],
+            filename: fixture("workspaces/packages/pkg-a/index.js"),
+        },
+        {
+            code: "require('test-tool')",
+            errors: ['"test-tool" is extraneous.'],
+            filename: fixture("workspaces/packages/pkg-a/test/a.test.js"),
+        },
+        {
+            code: "require('y')",
+            errors: [
+                '"y" is a workspace package, but it is not written in "package.json".',
+            ],
+            filename: fixture("pnpm-workspaces/packages/x/index.js"),
+        },
     ],
 })
@@ -0,0 +1,114 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const RuleTester = require("eslint").RuleTester
+const rule = require("../../../lib/rules/no-hide-core-modules")
+
+const RESOLVER = path.resolve(__dirname, "../../fixtures/resolver/index.js")
+const NONE_RESOLVER = path.resolve(__dirname, "../../fixtures/resolver/none.js")
+
+/**
+ * Makes a file path to a fixture.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function fixture(name) {
+    return path.resolve(__dirname, "../../fixtures/no-hide-core-modules", name)
+}
+
+const ruleTester = new RuleTester({
+    parserOptions: { ecmaVersion: 2015, sourceType: "module" },
+    env: { node: true },
+})
+ruleTester.run("no-hide-core-modules", rule, {
+    valid: [
+        {
+            code: "require('util'); import util from 'util';",
+            options: [{ resolver: RESOLVER }],
+            filename: fixture("no-thirdparty/test.js"),
+        },
+        {
+            code: "require('node:util'); import util from 'node:util';",
+            options: [{ resolver: RESOLVER }],
+            filename: fixture("thirdparty/test.js"),
+        },
+        {
+            code: "require('util');",
+            options: [{ allow: ["util"], resolver: RESOLVER }],
+            filename: fixture("thirdparty/test.js"),
+        },
+        {
+            code: "require('util');",
+            options: [{ ignoreDirectDependencies: true, resolver: RESOLVER }],
+            filename: fixture("thirdparty/test.js"),
+        },
+        {
+            code: "require('util');",
+            options: [{ ignoreIndirectDependencies: true, resolver: RESOLVER }],
+            filename: fixture("indirect-thirdparty/test.js"),
+        },
+        {
+            code: "require('util');",
+            options: [{ resolver: NONE_RESOLVER }],
+            filename: fixture("no-thirdparty/test.js"),
+        },
+        {
+            code: "require('util');",
+            options: [{ resolver: RESOLVER }],
+            filename: fixture("thirdparty/test.js"),
+            settings: { node: { tryExtensions: [".json"] } },
+        },
+    ],
+    invalid: [
+        {
+            code: "require('util');",
+            options: [{ resolver: RESOLVER }],
+            errors: [
+                "Unexpected import of third-party module 'node_modules/util.js'.",
+            ],
+            filename: fixture("thirdparty/test.js"),
+        },
+        {
+            code: "import util from 'util';",
+            errors: [
+                "Unexpected import of third-party module 'node_modules/util.js'.",
+            ],
+            filename: fixture("thirdparty/test.js"),
+            settings: { node: { resolver: RESOLVER } },
+        },
+        {
+            code: "require('util');",
+            options: [{ ignoreDirectDependencies: true, resolver: RESOLVER }],
+            errors: [
+                "Unexpected import of third-party module 'node_modules/util.js'.",
+            ],
+            filename: fixture("indirect-thirdparty/test.js"),
+        },
+        {
+            code: "require('util');",
+            options: [{ resolver: RESOLVER }],
+            errors: [
+                "Unexpected import of third-party module '../thirdparty/node_modules/util.js'.",
+            ],
+            filename: fixture("no-thirdparty/test.js"),
+            settings: {
+                node: { resolvePaths: [fixture("thirdparty/node_modules")] },
+            },
+        },
+
+        // The resolver returns `null`, but the module exists.
+        {
+            code: "require('util'); import util from 'util';",
+            options: [{ resolver: NONE_RESOLVER }],
+            errors: [
+                "Unexpected import of third-party module 'node_modules/util.js'.",
+                "Unexpected import of third-party module 'node_modules/util.js'.",
+            ],
+            filename: fixture("thirdparty/test.js"),
+        },
+    ],
+})
@@ -0,0 +1,47 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const RuleTester = require("eslint").RuleTester
+const rule = require("../../../lib/rules/no-invalid-engines")
+
+new RuleTester().run("no-invalid-engines", rule, {
+    valid: [
+        {
+            code: '({"engines": {"node": ">=6.0.0"}}\n)',
+            filename: "package.json",
+        },
+        {
+            code: '({"engines": {"node": "^12.22.0 || >=14.17.0"}}\n)',
+            filename: "package.json",
+        },
+        {
+            code: '({"engines": {"npm": ">=6"}}\n)',
+            filename: "package.json",
+        },
+        {
+            code: '({"engines": {"node": ">=foo"}}\n)',
+            filename: "index.json",
+        },
+    ],
+    invalid: [
+        {
+            code: '({"engines": {"node": ">=foo"}}\n)',
+            errors: [
+                {
+                    message:
+                        "'>=foo' in 'engines.node' of 'package.json' is not a valid semver range.",
+                    column: 23,
+                },
+            ],
+            filename: "package.json",
+        },
+        {
+            code: '({"engines": {"node": 6}}\n)',
+            errors: ["'engines.node' of 'package.json' must be a string."],
+            filename: "package.json",
+        },
+    ],
+})
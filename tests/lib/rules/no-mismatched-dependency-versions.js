@@ -0,0 +1,117 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const RuleTester = require("eslint").RuleTester
+const rule = require("../../../lib/rules/no-mismatched-dependency-versions")
+
+/**
+ * Makes a file path to a fixture.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function fixture(name) {
+    return path.resolve(
+        __dirname,
+        "../../fixtures/no-mismatched-dependency-versions",
+        name
+    )
+}
+
+const ruleTester = new RuleTester({
+    parserOptions: { ecmaVersion: 2015, sourceType: "module" },
+    env: { node: true },
+})
+ruleTester.run("no-mismatched-dependency-versions", rule, {
+    valid: [
+        {
+            code:
+                "import ok from 'ok'; import pre from 'pre'; require('alias');",
+            filename: fixture("a.js"),
+        },
+        {
+            code: "import tagged from 'tagged'; import extra from 'extra';",
+            filename: fixture("a.js"),
+        },
+        {
+            code:
+                "import fs from 'fs'; import a from './a'; import x from 'missing';",
+            filename: fixture("a.js"),
+        },
+        {
+            code: "import old from 'old';",
+            options: [{ allowModules: ["old"] }],
+            filename: fixture("a.js"),
+        },
+        {
+            code: "import old from 'old';",
+            filename: "<input>",
+        },
+    ],
+    invalid: [
+        {
+            code: "import old from 'old'; require('old/sub');",
+            errors: [
+                '"old@1.0.0" is installed, but "package.json" requires "^2.0.0".',
+                '"old@1.0.0" is installed, but "package.json" requires "^2.0.0".',
+            ],
+            filename: fixture("a.js"),
+        },
+        {
+            code: "import pkg from '@scope/pkg'; import dev from 'dev';",
+            errors: [
+                '"@scope/pkg@2.0.0" is installed, but "package.json" requires "^1.0.0".',
+                '"dev@1.1.0" is installed, but "package.json" requires "~1.0.0".',
+            ],
+            filename: fixture("a.js"),
+        },
+        {
+            code:
+                "import local from 'local'; require('local/sub'); import('local');",
+            errors: [
+                '"local" is installed from the local path "file:../local", so its version cannot be checked.',
+            ],
+            parser: require.resolve("babel-eslint"),
+            filename: fixture("a.js"),
+        },
+        {
+            code: "import gitdep from 'gitdep';",
+            errors: [
+                '"gitdep" is installed from the git repository "github:user/gitdep#v1.0.0", so its version cannot be checked.',
+            ],
+            filename: fixture("a.js"),
+        },
+        {
+            code: "async function f() { await import('old') }",
+            parserOptions: { ecmaVersion: 2017 },
+            errors: [
+                '"old@1.0.0" is installed, but "package.json" requires "^2.0.0".',
+            ],
+            filename: fixture("a.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+    ],
+})
+
+// Local and git dependencies are reported on only the first linted file.
+ruleTester.run("no-mismatched-dependency-versions", rule, {
+    valid: [
+        {
+            code: "import local from 'local'; import gitdep from 'gitdep';",
+            filename: fixture("b.js"),
+        },
+    ],
+    invalid: [
+        {
+            code: "import local from 'local'; import old from 'old';",
+            errors: [
+                '"local" is installed from the local path "file:../local", so its version cannot be checked.',
+                '"old@1.0.0" is installed, but "package.json" requires "^2.0.0".',
+            ],
+            filename: fixture("a.js"),
+        },
+    ],
+})
@@ -0,0 +1,58 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const RuleTester = require("eslint").RuleTester
+const rule = require("../../../lib/rules/no-missing-bin")
+
+/**
+ * Makes a file path to a fixture.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function fixture(name) {
+    return path.resolve(__dirname, "../../fixtures/package-json", name)
+}
+
+new RuleTester().run("no-missing-bin", rule, {
+    valid: [
+        {
+            code: '({"bin": "bin/a.js"}\n)',
+            filename: fixture("bin/package.json"),
+        },
+        {
+            code: '({"bin": {"a": "./bin/a.js"}}\n)',
+            filename: fixture("bin/package.json"),
+        },
+        {
+            code: '({"name": "test"}\n)',
+            filename: fixture("bin/package.json"),
+        },
+        {
+            code: '({"bin": "missing.js"}\n)',
+            filename: fixture("bin/index.json"),
+        },
+    ],
+    invalid: [
+        {
+            code: '({"bin": "bin"}\n)',
+            errors: ["'bin' in 'bin' of 'package.json' is not found."],
+            filename: fixture("bin/package.json"),
+        },
+        {
+            code: '({\n"bin": {\n"a": "bin/a.js",\n"b": "./bin/b.js"\n}\n}\n)',
+            errors: [
+                {
+                    message:
+                        "'./bin/b.js' in 'bin' of 'package.json' is not found.",
+                    line: 4,
+                    column: 6,
+                },
+            ],
+            filename: fixture("bin/package.json"),
+        },
+    ],
+})
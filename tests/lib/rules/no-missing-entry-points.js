@@ -0,0 +1,149 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const fs = require("fs")
+const path = require("path")
+const RuleTester = require("eslint").RuleTester
+const rule = require("../../../lib/rules/no-missing-entry-points")
+
+/**
+ * Makes a file path to a fixture.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function fixture(name) {
+    return path.resolve(
+        __dirname,
+        "../../fixtures/no-missing-entry-points",
+        name
+    )
+}
+
+/**
+ * Makes the code of a fixture `package.json` as the `package-json`
+ * processor converts.
+ * @param {string} name - A name.
+ * @returns {string} The code.
+ */
+function packageJson(name) {
+    return `(${fs.readFileSync(fixture(name), "utf8")}\n)`
+}
+
+new RuleTester().run("no-missing-entry-points", rule, {
+    valid: [
+        {
+            code: packageJson("ok/package.json"),
+            filename: fixture("ok/package.json"),
+        },
+        {
+            code: packageJson("dangling/package.json"),
+            filename: fixture("dangling/package.json"),
+        },
+        {
+            code: packageJson("missing/package.json"),
+            filename: fixture("ok/index.json"),
+        },
+        {
+            code: "'use strict'",
+            filename: fixture("ok/lib/index.js"),
+        },
+        {
+            code: "'no-exist'",
+            filename: "<input>",
+        },
+    ],
+    invalid: [
+        {
+            code: packageJson("missing/package.json"),
+            errors: [
+                {
+                    message:
+                        "'lib/index.js' in 'main' of 'package.json' is not found.",
+                    line: 5,
+                    column: 13,
+                },
+                {
+                    message:
+                        "'index.d.ts' in 'types' of 'package.json' is not found.",
+                    line: 6,
+                    column: 14,
+                },
+                {
+                    message:
+                        "'./esm/index.mjs' in 'exports[\".\"][\"import\"]' of 'package.json' is not found.",
+                    line: 9,
+                    column: 23,
+                },
+                {
+                    message:
+                        "'./lib/features/*.js' in 'exports[\"./features/*\"]' of 'package.json' is not found.",
+                    line: 12,
+                    column: 25,
+                },
+            ],
+            filename: fixture("missing/package.json"),
+        },
+        {
+            code: packageJson("ignored/package.json"),
+            errors: [
+                "npm ignores 'esm/index.js' in 'module' of 'package.json'. Check 'files' field of 'package.json' or '.npmignore'.",
+                "npm ignores './esm/index.js' in 'exports[\"./esm\"]' of 'package.json'. Check 'files' field of 'package.json' or '.npmignore'.",
+                "npm ignores './extra/*.js' in 'exports[\"./extra/*\"]' of 'package.json'. Check 'files' field of 'package.json' or '.npmignore'.",
+            ],
+            filename: fixture("ignored/package.json"),
+        },
+        {
+            code: packageJson("invalid/package.json"),
+            errors: [
+                "'index.js' in 'exports' of 'package.json' must start with './'.",
+            ],
+            filename: fixture("invalid/package.json"),
+        },
+
+        // Lint the files of the package.
+        {
+            code: "'use strict'",
+            errors: [
+                {
+                    message:
+                        "'lib/index.js' in 'main' of 'package.json' is not found.",
+                    line: 1,
+                    column: 1,
+                },
+                "'index.d.ts' in 'types' of 'package.json' is not found.",
+                "'./esm/index.mjs' in 'exports[\".\"][\"import\"]' of 'package.json' is not found.",
+                "'./lib/features/*.js' in 'exports[\"./features/*\"]' of 'package.json' is not found.",
+            ],
+            filename: fixture("missing/lib/a.js"),
+        },
+        {
+            code: "'use strict'",
+            errors: [
+                "'index.js' in 'exports' of 'package.json' must start with './'.",
+            ],
+            filename: fixture("invalid/index.js"),
+        },
+    ],
+})
+
+// The problems are reported on only the first linted file of each package.
+new RuleTester().run("no-missing-entry-points", rule, {
+    valid: [
+        {
+            code: "'use strict'",
+            filename: fixture("missing/lib/b.js"),
+        },
+    ],
+    invalid: [
+        {
+            code: "'use strict'",
+            errors: [
+                "'index.js' in 'exports' of 'package.json' must start with './'.",
+            ],
+            filename: fixture("invalid/index.js"),
+        },
+    ],
+})
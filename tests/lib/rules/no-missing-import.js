@@ -4,8 +4,10 @@
  */
 "use strict"
 
+const assert = require("assert")
 const path = require("path")
 const RuleTester = require("eslint").RuleTester
+const getSuggestionOutputs = require("../../helpers/get-suggestion-outputs")
 const rule = require("../../../lib/rules/no-missing-import")
 
 /**
@@ -17,6 +19,24 @@ function fixture(name) {
     return path.resolve(__dirname, "../../fixtures/no-missing", name)
 }
 
+/**
+ * Makes a file path to a fixture of the `resolver` setting.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function resolverFixture(name) {
+    return path.resolve(__dirname, "../../fixtures/resolver", name)
+}
+
+/**
+ * Makes a file path to a fixture of Yarn Plug'n'Play.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function pnpFixture(name) {
+    return path.resolve(__dirname, "../../fixtures", name)
+}
+
 const ruleTester = new RuleTester({ parserOptions: { sourceType: "module" } })
 ruleTester.run("no-missing-import", rule, {
     valid: [
@@ -147,6 +167,117 @@ ruleTester.run("no-missing-import", rule, {
             filename: fixture("test.js"),
             env: { node: true },
         },
+        // exports field
+        {
+            code: "import a from 'exports-field';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from 'exports-field/esm-only';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from 'exports-field/features/a';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "export * from 'exports-sugar';",
+            filename: fixture("test.js"),
+        },
+
+        // imports field
+        {
+            code: "import db from '#db';",
+            filename: fixture("imports-field/test.js"),
+        },
+        {
+            code: "import cond from '#cond';",
+            filename: fixture("imports-field/test.js"),
+        },
+        {
+            code: "import esm from '#esm-only';",
+            filename: fixture("imports-field/test.js"),
+        },
+        {
+            code: "import a from '#internal/a';",
+            filename: fixture("imports-field/lib/test.js"),
+        },
+        {
+            code: "import dep from '#dep';",
+            filename: fixture("imports-field/test.js"),
+        },
+
+        // import()
+        {
+            code: "async function f() { await import('./a'); }",
+            filename: fixture("test.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+        {
+            code: "import(`eslint`).then(() => {});",
+            filename: fixture("test.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+        {
+            code: "import('fs');",
+            filename: fixture("test.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+        {
+            code: "import(`./${name}`);", //eslint-disable-line no-template-curly-in-string
+            filename: fixture("test.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+
+        // node: URL scheme
+        {
+            code: "import fs from 'node:fs'; export * from 'node:path';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import('node:fs/promises');",
+            filename: fixture("test.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+
+        // tsconfig.json
+        {
+            code:
+                "import db from '@app/db'; import helper from '@app/helper'; import lib from '@lib';",
+            filename: fixture("typescript/src/test.ts"),
+            settings: { node: { typescript: true } },
+        },
+        {
+            code:
+                "import util from 'src/util'; import button from '@app/components/button';",
+            filename: fixture("typescript/test.ts"),
+            settings: { node: { typescript: true } },
+        },
+        {
+            code:
+                "import db from './db.js'; import lib from './lib'; import button from './components/button.jsx';",
+            filename: fixture("typescript/src/test.ts"),
+            settings: { node: { typescript: true } },
+        },
+        {
+            code: "import main from '~/main.js'; import eslint from 'eslint';",
+            options: [{ typescript: true }],
+            filename: fixture("typescript/packages/app/test.ts"),
+        },
+
+        // resolver
+        {
+            code:
+                "import db from '@alias/db'; import esm from '~esm'; import a from './src/db'; import fs from 'fs';",
+            filename: resolverFixture("test.js"),
+            settings: { node: { resolver: resolverFixture("index.js") } },
+        },
+
+        // Yarn Plug'n'Play
+        {
+            code: "import aaa from 'aaa'; import pkg from 'exports-pkg';",
+            filename: pnpFixture("pnp-data/test.js"),
+        },
     ],
     invalid: [
         {
@@ -202,8 +333,199 @@ ruleTester.run("no-missing-import", rule, {
         // Case sensitive
         {
             code: "import a from './A.js';",
-            errors: ['"./A.js" is not found.'],
+            errors: ['"./A.js" is not found. Did you mean "./a.js"?'],
             filename: fixture("test.js"),
         },
+        // Close names
+        {
+            code: "import a from './foo/mian.js';",
+            errors: [
+                '"./foo/mian.js" is not found. Did you mean "./foo/main.js"?',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from './foo/man';",
+            errors: ['"./foo/man" is not found. Did you mean "./foo/main"?'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from 'semvr/functions/valid';",
+            errors: [
+                '"semvr/functions/valid" is not found. Did you mean "semver/functions/valid"?',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from 'node:fss';",
+            errors: ['"node:fss" is not found. Did you mean "node:fs"?'],
+            filename: fixture("test.js"),
+        },
+
+        // exports field
+        {
+            code: "import a from 'exports-field/lib/internal.js';",
+            errors: ['"exports-field/lib/internal.js" is not found.'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from 'exports-field/features/private/b';",
+            errors: ['"exports-field/features/private/b" is not found.'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from 'exports-field/features/nothing';",
+            errors: ['"exports-field/features/nothing" is not found.'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import a from 'exports-field/missing';",
+            errors: ['"exports-field/missing" is not found.'],
+            filename: fixture("test.js"),
+        },
+
+        // imports field
+        {
+            code: "import a from '#missing';",
+            errors: ['"#missing" is not found.'],
+            filename: fixture("imports-field/test.js"),
+        },
+        {
+            code: "import a from '#unknown';",
+            errors: ['"#unknown" is not found.'],
+            filename: fixture("imports-field/test.js"),
+        },
+        {
+            code: "import a from '#internal/b';",
+            errors: ['"#internal/b" is not found.'],
+            filename: fixture("imports-field/test.js"),
+        },
+        {
+            code: "import a from '#db';",
+            errors: ['"#db" is not found.'],
+            filename: fixture("test.js"),
+        },
+
+        // import()
+        {
+            code: "async function f() { await import('./c'); }",
+            errors: ['"./c" is not found.'],
+            filename: fixture("test.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+        {
+            code: "const p = () => import('no-exist-package-0');",
+            errors: ['"no-exist-package-0" is not found.'],
+            filename: fixture("test.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+
+        // node: URL scheme
+        {
+            code: "import a from 'node:no-exist-module';",
+            errors: ['"node:no-exist-module" is not found.'],
+            filename: fixture("test.js"),
+        },
+
+        // tsconfig.json
+        {
+            code: "import db from '@app/db';",
+            errors: ['"@app/db" is not found.'],
+            filename: fixture("typescript/src/test.ts"),
+        },
+        {
+            code: "import db from './db.js';",
+            errors: ['"./db.js" is not found.'],
+            filename: fixture("typescript/src/test.ts"),
+        },
+        {
+            code: "import db from '@app/no-exist'; import a from '@missing/a';",
+            errors: [
+                '"@app/no-exist" is not found.',
+                '"@missing/a" is not found.',
+            ],
+            filename: fixture("typescript/src/test.ts"),
+            settings: { node: { typescript: true } },
+        },
+        {
+            code: "import db from '@app/db';",
+            options: [{ typescript: false }],
+            errors: ['"@app/db" is not found.'],
+            filename: fixture("typescript/src/test.ts"),
+            settings: { node: { typescript: true } },
+        },
+
+        // resolver
+        {
+            code:
+                "import a from '@alias/no-exist'; import b from './no-exist';",
+            errors: [
+                '"@alias/no-exist" is not found.',
+                '"./no-exist" is not found.',
+            ],
+            filename: resolverFixture("test.js"),
+            settings: { node: { resolver: resolverFixture("index.js") } },
+        },
+        {
+            code: "import esm from '~esm';",
+            errors: ['"~esm" is not found.'],
+            filename: resolverFixture("test.js"),
+        },
+
+        // Yarn Plug'n'Play
+        {
+            code: "import feature from 'exports-pkg/feature';",
+            errors: ['"exports-pkg/feature" is not found.'],
+            filename: pnpFixture("pnp/src/test.js"),
+        },
     ],
 })
+
+describe("no-missing-import suggestions", () => {
+    /**
+     * Gets the suggestions for a given code.
+     * @param {string} code - The code to lint.
+     * @returns {Array<object[]>} The suggestions of each report.
+     */
+    function getSuggestions(code) {
+        return getSuggestionOutputs(rule, {
+            code,
+            filename: fixture("test.js"),
+            parserOptions: { sourceType: "module" },
+        })
+    }
+
+    it("should replace the specifier with the close file", () => {
+        assert.deepStrictEqual(
+            getSuggestions("import a from './foo/mian.js';"),
+            [
+                [
+                    {
+                        desc: 'Replace with "./foo/main.js".',
+                        output: "import a from './foo/main.js';",
+                    },
+                ],
+            ]
+        )
+    })
+
+    it("should keep the quotes and the subpath of the module", () => {
+        assert.deepStrictEqual(
+            getSuggestions('import a from "semvr/functions/valid";'),
+            [
+                [
+                    {
+                        desc: 'Replace with "semver/functions/valid".',
+                        output: 'import a from "semver/functions/valid";',
+                    },
+                ],
+            ]
+        )
+    })
+
+    it("should not suggest the files which are not close", () => {
+        assert.deepStrictEqual(getSuggestions("import a from './a.json';"), [
+            [],
+        ])
+    })
+})
@@ -0,0 +1,162 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const RuleTester = require("eslint").RuleTester
+const rule = require("../../../lib/rules/no-missing-named-import")
+
+/**
+ * Makes a file path to a fixture.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function fixture(name) {
+    return path.resolve(__dirname, "../../fixtures/no-missing-named", name)
+}
+
+const ruleTester = new RuleTester({
+    parserOptions: { ecmaVersion: 2015, sourceType: "module" },
+})
+ruleTester.run("no-missing-named-import", rule, {
+    valid: [
+        {
+            code: "import x, { a, b, C, d, f, h } from './esm.js';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import * as ns from './esm-no-default.js';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import { a, b, C, x } from './reexport.js';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import x, { a, b, c } from './cjs.js';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import x, { a, b, c } from './cjs-object.js';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import { a } from 'pkg';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "export { a, b as c, default } from './esm.js';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import { a, b } from './cycle-a.js';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import { a, b } from './cycle-b.js';",
+            filename: fixture("test.js"),
+        },
+
+        // Cannot analyze.
+        {
+            code: "import { unknown } from './cjs-function.js';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import { unknown } from './cjs-dynamic.js';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import { unknown } from './reexport-unknown.js';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import { unknown } from './no-exist.js';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import { unknown } from 'fs';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import { unknown } from './esm.js';",
+            filename: "<input>",
+        },
+
+        // Type-only imports are ignored.
+        {
+            code: "import type { Unknown } from './esm.js';",
+            filename: fixture("test.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+    ],
+    invalid: [
+        {
+            code: "import { a, craeteClient } from './esm.js';",
+            errors: [
+                {
+                    message: '"craeteClient" is not exported by "./esm.js".',
+                    column: 13,
+                },
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import x, { a } from './esm-no-default.js';",
+            errors: ['"default" is not exported by "./esm-no-default.js".'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import { default as x } from './esm-no-default.js';",
+            errors: ['"default" is not exported by "./esm-no-default.js".'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import { g } from './esm.js';",
+            errors: ['"g" is not exported by "./esm.js".'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import x, { b, default as y } from './reexport.js';",
+            errors: [
+                '"default" is not exported by "./reexport.js".',
+                '"default" is not exported by "./reexport.js".',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import { d } from './cjs.js';",
+            errors: ['"d" is not exported by "./cjs.js".'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import { d } from './cjs-object.js';",
+            errors: ['"d" is not exported by "./cjs-object.js".'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import { b } from 'pkg';",
+            errors: ['"b" is not exported by "pkg".'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "export { a, z as y } from './esm.js';",
+            errors: [
+                { message: '"z" is not exported by "./esm.js".', column: 13 },
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import { c } from './cycle-a.js';",
+            errors: ['"c" is not exported by "./cycle-a.js".'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import { c } from './cycle-b.js';",
+            errors: ['"c" is not exported by "./cycle-b.js".'],
+            filename: fixture("test.js"),
+        },
+    ],
+})
@@ -0,0 +1,174 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const RuleTester = require("eslint").RuleTester
+const rule = require("../../../lib/rules/no-missing-named-require")
+
+/**
+ * Makes a file path to a fixture.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function fixture(name) {
+    return path.resolve(__dirname, "../../fixtures/no-missing-named", name)
+}
+
+const ruleTester = new RuleTester({
+    parserOptions: { ecmaVersion: 2015 },
+    env: { node: true },
+})
+ruleTester.run("no-missing-named-require", rule, {
+    valid: [
+        {
+            code: "const { a, b, c } = require('./cjs.js');",
+            filename: fixture("test.js"),
+        },
+        {
+            code:
+                "const { a, b: x, ['c']: y, ...rest } = require('./cjs-object');",
+            parserOptions: { ecmaVersion: 2018 },
+            filename: fixture("test.js"),
+        },
+        {
+            code: "let a; ({ a } = require('./cjs.js'));",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('./cjs.js').a(); require('./cjs.js')['b'];",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('./cjs.js').hasOwnProperty('a');",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "const { a } = require('pkg');",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "const { readFile, promises } = require('fs');",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "const { EventEmitter } = require('node:events');",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "const { unknown } = require('node:test');",
+            filename: fixture("test.js"),
+        },
+
+        // The names of core modules don't depend on the running Node.js.
+        // `fs.cp` was added in Node.js 16.7.0.
+        {
+            code: "const { cp } = require('fs'); require('util').isArray;",
+            filename: fixture("test.js"),
+        },
+
+        // Core modules which have side effects on loading are not checked.
+        {
+            code: "const { unknown } = require('domain');",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "const { a, b, C, h } = require('./esm.js');",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "const cjs = require('./cjs.js'); cjs.unknown;",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "const path = require.resolve('./cjs.js').unknown;",
+            filename: fixture("test.js"),
+        },
+
+        // Cannot analyze.
+        {
+            code: "const { unknown } = require('./cjs-function.js');",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "const { unknown } = require('./cjs-dynamic.js');",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "const { unknown } = require('./no-exist.js');",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('./cjs.js')[unknown];",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "const { unknown } = require('sys');",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "const { unknown } = require('./cjs.js');",
+            filename: "<input>",
+        },
+    ],
+    invalid: [
+        {
+            code: "const { a, d } = require('./cjs.js');",
+            errors: [
+                { message: '"d" is not exported by "./cjs.js".', column: 12 },
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "const { d: x } = require('./cjs-object');",
+            errors: ['"d" is not exported by "./cjs-object".'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "let d; ({ d } = require('./cjs.js'));",
+            errors: ['"d" is not exported by "./cjs.js".'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('./cjs.js').d(); require('./cjs.js')['e'];",
+            errors: [
+                '"d" is not exported by "./cjs.js".',
+                '"e" is not exported by "./cjs.js".',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "const { b } = require('pkg');",
+            errors: ['"b" is not exported by "pkg".'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "const { readFle } = require('fs');",
+            errors: ['"readFle" is not exported by "fs".'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('node:path').joinn('a', 'b');",
+            errors: ['"joinn" is not exported by "node:path".'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "const { unknown } = require('node:fs/promises');",
+            errors: ['"unknown" is not exported by "node:fs/promises".'],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "const { g } = require('./esm.js');",
+            errors: ['"g" is not exported by "./esm.js".'],
+            filename: fixture("test.js"),
+        },
+        {
+            code:
+                "const path = require('path'); const { d } = require(path.join(__dirname, 'cjs.js'));",
+            errors: ['"d" is not exported by "./cjs.js".'],
+            filename: fixture("test.js"),
+        },
+    ],
+})
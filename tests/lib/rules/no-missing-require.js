@@ -4,8 +4,10 @@
  */
 "use strict"
 
+const assert = require("assert")
 const path = require("path")
 const RuleTester = require("eslint").RuleTester
+const getSuggestionOutputs = require("../../helpers/get-suggestion-outputs")
 const rule = require("../../../lib/rules/no-missing-require")
 
 /**
@@ -17,6 +19,24 @@ function fixture(name) {
     return path.resolve(__dirname, "../../fixtures/no-missing", name)
 }
 
+/**
+ * Makes a file path to a fixture of the `resolver` setting.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function resolverFixture(name) {
+    return path.resolve(__dirname, "../../fixtures/resolver", name)
+}
+
+/**
+ * Makes a file path to a fixture of Yarn Plug'n'Play.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function pnpFixture(name) {
+    return path.resolve(__dirname, "../../fixtures", name)
+}
+
 const ruleTester = new RuleTester()
 ruleTester.run("no-missing-require", rule, {
     valid: [
@@ -214,6 +234,175 @@ ruleTester.run("no-missing-require", rule, {
             filename: fixture("test.js"),
             env: { node: true },
         },
+        // exports field
+        {
+            code: "require('exports-field');",
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code: "require('exports-field/feature');",
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code: "require('exports-field/features/a');",
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code: "require('exports-sugar');",
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+
+        // imports field
+        {
+            code: "require('#db');",
+            filename: fixture("imports-field/test.js"),
+            env: { node: true },
+        },
+        {
+            code: "require('#cond');",
+            filename: fixture("imports-field/test.js"),
+            env: { node: true },
+        },
+        {
+            code: "require('#internal/a');",
+            filename: fixture("imports-field/test.js"),
+            env: { node: true },
+        },
+
+        // static evaluation
+        {
+            code:
+                "const path = require('path'); require(path.join(__dirname, 'a'));",
+            parserOptions: { ecmaVersion: 2015 },
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code:
+                "const path = require('path'); require(path.resolve(__dirname, 'foo', 'main.js'));",
+            parserOptions: { ecmaVersion: 2015 },
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code:
+                "const { join } = require('path'); const dir = __dirname; require(join(dir, 'b.json'));",
+            parserOptions: { ecmaVersion: 2015 },
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code:
+                "import * as path from 'path'; require(path['join'](__dirname, 'a'));",
+            parserOptions: { ecmaVersion: 2015, sourceType: "module" },
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code: "const name = 'a'; require(`./${name}.config` + '.js');", //eslint-disable-line no-template-curly-in-string
+            parserOptions: { ecmaVersion: 2015 },
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code: "require(__filename);",
+            parserOptions: { ecmaVersion: 2015 },
+            filename: fixture("a.js"),
+            env: { node: true },
+        },
+        {
+            code: "let name = 'c'; require(`./${name}`);", //eslint-disable-line no-template-curly-in-string
+            parserOptions: { ecmaVersion: 2015 },
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code:
+                "const path = require('path'); require(path.dirname(__dirname));",
+            parserOptions: { ecmaVersion: 2015 },
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code: "const a = b, b = a; require(a);",
+            parserOptions: { ecmaVersion: 2015 },
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+
+        // require.resolve() and module.createRequire()
+        {
+            code: "require.resolve('./a'); require.resolve.paths('eslint');",
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code:
+                "const Module = require('module'); const req = Module.createRequire(__filename); req('./a'); req.resolve('eslint');",
+            parserOptions: { ecmaVersion: 2015 },
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code:
+                "import { createRequire } from 'module'; const require = createRequire(import.meta.url); require('./a');",
+            parserOptions: { sourceType: "module" },
+            filename: fixture("test.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+
+        // ES modules don't have the `require` variable.
+        {
+            code: "require('no-exist-package-0');",
+            filename: fixture("test.mjs"),
+            env: { node: true },
+        },
+
+        // node: URL scheme
+        {
+            code: "require('node:fs'); require('node:fs/promises');",
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code: "require('node:test');",
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+
+        // tsconfig.json
+        {
+            code: "require('@app/db'); require('./lib/index.js');",
+            options: [{ typescript: true }],
+            filename: fixture("typescript/src/test.ts"),
+            env: { node: true },
+        },
+
+        // resolver
+        {
+            code:
+                "require('@alias/db'); require.resolve('./src/db'); require('fs');",
+            options: [{ resolver: resolverFixture("index.js") }],
+            filename: resolverFixture("test.js"),
+            env: { node: true },
+        },
+
+        // Yarn Plug'n'Play
+        {
+            code:
+                "require('aaa'); require('aaa/sub'); require('exports-pkg/feature'); require('bbb'); require('./a');",
+            filename: pnpFixture("pnp/src/test.js"),
+            env: { node: true },
+        },
+        {
+            code: "require('aaa'); require('exports-pkg');",
+            filename: pnpFixture("pnp-data/test.js"),
+            env: { node: true },
+        },
     ],
     invalid: [
         {
@@ -222,6 +411,20 @@ ruleTester.run("no-missing-require", rule, {
             filename: fixture("test.js"),
             env: { node: true },
         },
+        {
+            code: "require('no-exist-package-0');",
+            errors: ['"no-exist-package-0" is not found.'],
+            filename: fixture("test.cjs"),
+            env: { node: true },
+        },
+        {
+            code:
+                "import { createRequire } from 'module'; const require = createRequire(import.meta.url); require('no-exist-package-0');",
+            parserOptions: { sourceType: "module" },
+            errors: ['"no-exist-package-0" is not found.'],
+            filename: fixture("test.mjs"),
+            parser: require.resolve("babel-eslint"),
+        },
         {
             code: "require('@mysticatea/test');",
             errors: ['"@mysticatea/test" is not found.'],
@@ -278,10 +481,189 @@ ruleTester.run("no-missing-require", rule, {
         // Case sensitive
         {
             code: "require('./A');",
-            errors: ['"./A" is not found.'],
+            errors: ['"./A" is not found. Did you mean "./a"?'],
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        // Close names
+        {
+            code: "require('./foo/man');",
+            errors: ['"./foo/man" is not found. Did you mean "./foo/main"?'],
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code: "require(`./foo/man`);",
+            parserOptions: { ecmaVersion: 2015 },
+            errors: ['"./foo/man" is not found. Did you mean "./foo/main"?'],
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code: "require('resolv');",
+            errors: ['"resolv" is not found. Did you mean "resolve"?'],
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+
+        // exports field
+        {
+            code: "require('exports-field/esm-only');",
+            errors: ['"exports-field/esm-only" is not found.'],
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code: "require('exports-field/lib/internal.js');",
+            errors: ['"exports-field/lib/internal.js" is not found.'],
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code: "require('exports-field/features/private/b');",
+            errors: ['"exports-field/features/private/b" is not found.'],
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code: "require('exports-field/missing');",
+            errors: ['"exports-field/missing" is not found.'],
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code: "require('exports-sugar/main.js');",
+            errors: ['"exports-sugar/main.js" is not found.'],
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+
+        // imports field
+        {
+            code: "require('#esm-only');",
+            errors: ['"#esm-only" is not found.'],
+            filename: fixture("imports-field/test.js"),
+            env: { node: true },
+        },
+        {
+            code: "require('#missing');",
+            errors: ['"#missing" is not found.'],
+            filename: fixture("imports-field/test.js"),
+            env: { node: true },
+        },
+
+        // static evaluation
+        {
+            code:
+                "const path = require('path'); require(path.join(__dirname, 'c'));",
+            parserOptions: { ecmaVersion: 2015 },
+            errors: ['"./c" is not found.'],
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code:
+                "import { resolve } from 'path'; require(resolve(__dirname, 'foo', 'no-exist.js'));",
+            parserOptions: { ecmaVersion: 2015, sourceType: "module" },
+            errors: ['"./foo/no-exist.js" is not found.'],
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code:
+                "const path = require('path'); require(path.resolve(__dirname, '../no-exist'));",
+            parserOptions: { ecmaVersion: 2015 },
+            errors: ['"../no-exist" is not found.'],
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code:
+                "const locale = 'ja'; function f() { require(`./locales/${locale}`) }", //eslint-disable-line no-template-curly-in-string
+            parserOptions: { ecmaVersion: 2015 },
+            errors: ['"./locales/ja" is not found.'],
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code: "const base = './'; const name = base + 'd'; require(name);",
+            parserOptions: { ecmaVersion: 2015 },
+            errors: ['"./d" is not found.'],
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+
+        // require.resolve() and module.createRequire()
+        {
+            code: "require.resolve('./c');",
+            errors: ['"./c" is not found.'],
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code: "require.resolve.paths('no-exist-package-0');",
+            errors: ['"no-exist-package-0" is not found.'],
             filename: fixture("test.js"),
             env: { node: true },
         },
+        {
+            code: "require('module').createRequire(__filename)('./c');",
+            errors: ['"./c" is not found.'],
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code:
+                "import { createRequire } from 'module'; const require = createRequire(import.meta.url); require('./c');",
+            parserOptions: { sourceType: "module" },
+            errors: ['"./c" is not found.'],
+            filename: fixture("test.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+        {
+            code:
+                "import Module from 'module'; const req = Module.createRequire(import.meta.url); req.resolve('./d');",
+            parserOptions: { sourceType: "module" },
+            errors: ['"./d" is not found.'],
+            filename: fixture("test.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+
+        // node: URL scheme
+        {
+            code: "require('node:no-exist-module');",
+            errors: ['"node:no-exist-module" is not found.'],
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+        {
+            code: "require('node:eslint');",
+            errors: ['"node:eslint" is not found.'],
+            filename: fixture("test.js"),
+            env: { node: true },
+        },
+
+        // resolver
+        {
+            code: "require('~esm');",
+            options: [{ resolver: resolverFixture("index.js") }],
+            errors: ['"~esm" is not found.'],
+            filename: resolverFixture("test.js"),
+            env: { node: true },
+        },
+
+        // Yarn Plug'n'Play
+        {
+            code:
+                "require('aaa/nothing'); require('exports-pkg/lib/internal.js'); require('ccc');",
+            errors: [
+                '"aaa/nothing" is not found.',
+                '"exports-pkg/lib/internal.js" is not found.',
+                '"ccc" is not found.',
+            ],
+            filename: pnpFixture("pnp/src/test.js"),
+            env: { node: true },
+        },
     ],
 })
 
@@ -309,3 +691,60 @@ describe("On specific working directory:", () => {
         invalid: [],
     })
 })
+
+describe("no-missing-require suggestions", () => {
+    /**
+     * Gets the suggestions for a given code.
+     * @param {string} code - The code to lint.
+     * @param {object} [parserOptions] - The parser options.
+     * @returns {Array<object[]>} The suggestions of each report.
+     */
+    function getSuggestions(code, parserOptions) {
+        return getSuggestionOutputs(rule, {
+            code,
+            env: { node: true },
+            filename: fixture("test.js"),
+            parserOptions,
+        })
+    }
+
+    it("should replace the specifier with the close file", () => {
+        assert.deepStrictEqual(getSuggestions("require('./foo/man');"), [
+            [
+                {
+                    desc: 'Replace with "./foo/main".',
+                    output: "require('./foo/main');",
+                },
+            ],
+        ])
+    })
+
+    it("should keep the template literal", () => {
+        assert.deepStrictEqual(
+            getSuggestions("require(`./foo/man`);", { ecmaVersion: 2015 }),
+            [
+                [
+                    {
+                        desc: 'Replace with "./foo/main".',
+                        output: "require(`./foo/main`);",
+                    },
+                ],
+            ]
+        )
+    })
+
+    it("should replace the specifier with the close module", () => {
+        assert.deepStrictEqual(getSuggestions("require('resolv');"), [
+            [
+                {
+                    desc: 'Replace with "resolve".',
+                    output: "require('resolve');",
+                },
+            ],
+        ])
+    })
+
+    it("should not suggest the files which are not close", () => {
+        assert.deepStrictEqual(getSuggestions("require('./a.json');"), [[]])
+    })
+})
@@ -0,0 +1,186 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const RuleTester = require("eslint").RuleTester
+const rule = require("../../../lib/rules/no-mixed-module-systems")
+
+/**
+ * Makes a file path to a fixture.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function fixture(name) {
+    return path.resolve(
+        __dirname,
+        "../../fixtures/no-mixed-module-systems",
+        name
+    )
+}
+
+const ruleTester = new RuleTester({
+    parserOptions: { ecmaVersion: 2015, sourceType: "module" },
+    env: { node: true },
+})
+ruleTester.run("no-mixed-module-systems", rule, {
+    valid: [
+        {
+            code: "import fs from 'fs'; export default fs;",
+            filename: fixture("esm/test.js"),
+        },
+        {
+            code: "import fs from 'fs';",
+            filename: fixture("test.mjs"),
+        },
+        {
+            code:
+                "const __dirname = '.'; function f(require) { require('x'); }",
+            filename: fixture("esm/test.js"),
+        },
+        {
+            code: "if (typeof require !== 'undefined') {}",
+            filename: fixture("esm/test.js"),
+        },
+        {
+            code:
+                "const fs = require('fs'); module.exports = __dirname + __filename;",
+            parserOptions: { sourceType: "script" },
+            filename: fixture("cjs/test.js"),
+        },
+        {
+            code: "const fs = require('fs'); exports.a = 1;",
+            parserOptions: { sourceType: "script" },
+            filename: fixture("test.cjs"),
+        },
+        {
+            code: "import('./a.js');",
+            filename: fixture("cjs/test.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+
+        // The module type is not specified.
+        {
+            code: "import fs from 'fs'; require('x'); __dirname;",
+            filename: fixture("none/test.js"),
+        },
+        {
+            code: "import fs from 'fs'; require('x'); __dirname;",
+            filename: fixture("esm/test.json"),
+        },
+        "import fs from 'fs'; require('x'); __dirname;",
+    ],
+    invalid: [
+        {
+            code:
+                "const fs = require('fs'); module.exports = fs; exports.a = 1;",
+            output: null,
+            errors: [
+                "'require' is not defined in ES modules.",
+                "'module' is not defined in ES modules.",
+                "'exports' is not defined in ES modules.",
+            ],
+            filename: fixture("esm/test.js"),
+        },
+        {
+            code: "require('fs');",
+            output: null,
+            errors: ["'require' is not defined in ES modules."],
+            filename: fixture("test.mts"),
+            env: { node: false },
+        },
+        {
+            code: "const a = __dirname; const b = __filename;",
+            output: null,
+            errors: [
+                "'__dirname' is not defined in ES modules.",
+                "'__filename' is not defined in ES modules.",
+            ],
+            filename: fixture("esm/test.js"),
+        },
+        {
+            code:
+                "import path from 'path'; import { fileURLToPath } from 'url'; const a = __dirname; const b = __filename;",
+            output:
+                "import path from 'path'; import { fileURLToPath } from 'url'; const a = path.dirname(fileURLToPath(import.meta.url)); const b = fileURLToPath(import.meta.url);",
+            errors: [
+                "'__dirname' is not defined in ES modules.",
+                "'__filename' is not defined in ES modules.",
+            ],
+            filename: fixture("esm/test.js"),
+        },
+        {
+            code:
+                "import { dirname as d } from 'node:path'; import * as url from 'node:url'; const a = __dirname;",
+            output:
+                "import { dirname as d } from 'node:path'; import * as url from 'node:url'; const a = d(url.fileURLToPath(import.meta.url));",
+            errors: ["'__dirname' is not defined in ES modules."],
+            filename: fixture("esm/test.js"),
+        },
+        {
+            code:
+                "import path from 'path'; import { fileURLToPath } from 'url'; function f(path) { return __dirname; }",
+            output: null,
+            errors: ["'__dirname' is not defined in ES modules."],
+            filename: fixture("esm/test.js"),
+        },
+        {
+            code: "const a = __dirname; const b = __filename;",
+            output:
+                "const a = import.meta.dirname; const b = import.meta.filename;",
+            options: [{ version: ">=20.11.0" }],
+            errors: [
+                "'__dirname' is not defined in ES modules.",
+                "'__filename' is not defined in ES modules.",
+            ],
+            filename: fixture("esm/test.js"),
+        },
+        {
+            code: "__dirname = '.';",
+            output: null,
+            options: [{ version: ">=20.11.0" }],
+            errors: ["'__dirname' is not defined in ES modules."],
+            filename: fixture("esm/test.js"),
+        },
+        {
+            code: "import fs from 'fs'; export default fs; export * from 'x';",
+            output: null,
+            errors: [
+                "'import' declarations are not allowed in CommonJS modules.",
+                "'export' declarations are not allowed in CommonJS modules.",
+                "'export' declarations are not allowed in CommonJS modules.",
+            ],
+            filename: fixture("cjs/test.js"),
+        },
+        {
+            code: "export const a = 1;",
+            output: null,
+            errors: [
+                "'export' declarations are not allowed in CommonJS modules.",
+            ],
+            filename: fixture("esm/test.cjs"),
+        },
+        {
+            code:
+                "const a = import.meta.dirname; const b = import.meta.filename; const c = import.meta.url;",
+            output:
+                "const a = __dirname; const b = __filename; const c = import.meta.url;",
+            errors: [
+                "'import.meta' is not allowed in CommonJS modules.",
+                "'import.meta' is not allowed in CommonJS modules.",
+                "'import.meta' is not allowed in CommonJS modules.",
+            ],
+            filename: fixture("cjs/test.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+        {
+            code: "function f(__dirname) { return import.meta.dirname; }",
+            output: null,
+            errors: ["'import.meta' is not allowed in CommonJS modules."],
+            filename: fixture("cjs/test.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+    ],
+})
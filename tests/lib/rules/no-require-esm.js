@@ -0,0 +1,124 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const RuleTester = require("eslint").RuleTester
+const rule = require("../../../lib/rules/no-require-esm")
+
+/**
+ * Makes a file path to a fixture.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function fixture(name) {
+    return path.resolve(__dirname, "../../fixtures/no-require-esm", name)
+}
+
+const ruleTester = new RuleTester({
+    parserOptions: { ecmaVersion: 2015 },
+    env: { node: true },
+})
+ruleTester.run("no-require-esm", rule, {
+    valid: [
+        {
+            code: "require('cjs-pkg'); require('dual');",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('./local.js'); require('./local.cjs');",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('no-exist'); require('./no-exist.mjs');",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require.resolve('esm-only');",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('fs');",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('esm-only');",
+            filename: "<input>",
+        },
+
+        // Supported versions.
+        {
+            code: "require('esm-only'); require('./local.mjs');",
+            options: [{ version: ">=22.12.0" }],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('esm-only');",
+            options: [{ version: "^20.19.0 || >=22.12.0" }],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('esm-only');",
+            settings: { node: { version: ">=23.0.0" } },
+            filename: fixture("test.js"),
+        },
+    ],
+    invalid: [
+        {
+            code: "require('esm-only');",
+            errors: [
+                '"esm-only" is an ES module. `require()` of it throws ERR_REQUIRE_ESM on Node >=12.0.0.',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('esm-exports');",
+            errors: [
+                '"esm-exports" is an ES module. `require()` of it throws ERR_REQUIRE_ESM on Node >=12.0.0.',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('./local.mjs'); require('./esm-dir/a');",
+            errors: [
+                '"./local.mjs" is an ES module. `require()` of it throws ERR_REQUIRE_ESM on Node >=12.0.0.',
+                '"./esm-dir/a" is an ES module. `require()` of it throws ERR_REQUIRE_ESM on Node >=12.0.0.',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code:
+                "const { createRequire } = require('module'); const req = createRequire(__filename); req('esm-only');",
+            errors: [
+                '"esm-only" is an ES module. `require()` of it throws ERR_REQUIRE_ESM on Node >=12.0.0.',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('esm-only');",
+            options: [{ version: ">=20.0.0" }],
+            errors: [
+                '"esm-only" is an ES module. `require()` of it throws ERR_REQUIRE_ESM on Node >=20.0.0.',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('esm-only');",
+            options: [{ version: ">=21.0.0" }],
+            errors: [
+                '"esm-only" is an ES module. `require()` of it throws ERR_REQUIRE_ESM on Node >=21.0.0.',
+            ],
+            filename: fixture("test.js"),
+        },
+        {
+            code: "require('esm-only');",
+            errors: [
+                '"esm-only" is an ES module. `require()` of it throws ERR_REQUIRE_ESM on Node >=18.0.0 <19.0.0||>=22.12.0.',
+            ],
+            settings: { node: { version: "^18.0.0 || >=22.12.0" } },
+            filename: fixture("test.js"),
+        },
+    ],
+})
@@ -0,0 +1,130 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const RuleTester = require("eslint").RuleTester
+const rule = require("../../../lib/rules/no-unguarded-optional-dependencies")
+
+/**
+ * Makes a file path to a fixture.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function fixture(name) {
+    return path.resolve(
+        __dirname,
+        "../../fixtures/no-unguarded-optional-dependencies",
+        name
+    )
+}
+
+const ERROR =
+    '"opt" is in "optionalDependencies", so loading it has to handle the failure.'
+const STATIC_ERROR =
+    "\"opt\" is in \"optionalDependencies\", so it cannot be imported by static 'import' and 'export' declarations."
+
+const ruleTester = new RuleTester({
+    parserOptions: { ecmaVersion: 2017 },
+    env: { node: true },
+})
+ruleTester.run("no-unguarded-optional-dependencies", rule, {
+    valid: [
+        {
+            code: "require('aaa'); require('both'); require('./opt');",
+            filename: fixture("a.js"),
+        },
+        {
+            code:
+                "let opt = null; try { opt = require('opt'); } catch (_err) {}",
+            filename: fixture("a.js"),
+        },
+        {
+            code:
+                "try { if (x) { require('opt/sub'); } } catch (_err) {} finally {}",
+            filename: fixture("a.js"),
+        },
+        {
+            code:
+                "async function f() { try { await import('opt'); } catch (_err) {} }",
+            filename: fixture("a.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+        {
+            code: "import('opt').catch(() => null);",
+            filename: fixture("a.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+        {
+            code: "import('opt').then(m => m.default).catch(() => null);",
+            filename: fixture("a.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+        {
+            code: "import('opt').then(m => m.default, () => null);",
+            filename: fixture("a.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+        {
+            code:
+                "const opt = optional(() => require('opt')); utils.load(function() { return require('opt'); });",
+            options: [{ loaders: ["optional", "utils.load"] }],
+            filename: fixture("a.js"),
+        },
+        {
+            code: "optional(import('opt'));",
+            options: [{ loaders: ["optional"] }],
+            filename: fixture("a.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+        {
+            code: "require('opt');",
+            filename: "<input>",
+        },
+    ],
+    invalid: [
+        {
+            code: "const opt = require('opt'); require.resolve('opt/sub');",
+            errors: [ERROR, ERROR],
+            filename: fixture("a.js"),
+        },
+        {
+            code: "try {} finally { require('opt'); }",
+            errors: [ERROR],
+            filename: fixture("a.js"),
+        },
+        {
+            code:
+                "try { return function() { require('opt'); } } catch (_err) {}",
+            parserOptions: { ecmaFeatures: { globalReturn: true } },
+            errors: [ERROR],
+            filename: fixture("a.js"),
+        },
+        {
+            code: "try {} catch (_err) { require('opt'); }",
+            errors: [ERROR],
+            filename: fixture("a.js"),
+        },
+        {
+            code: "import('opt'); import('opt').then(m => m.default);",
+            errors: [ERROR, ERROR],
+            filename: fixture("a.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+        {
+            code: "optional(() => require('opt'));",
+            options: [{ loaders: ["load"] }],
+            errors: [ERROR],
+            filename: fixture("a.js"),
+        },
+        {
+            code:
+                "import opt from 'opt'; export { a } from 'opt'; export * from 'opt';",
+            parserOptions: { sourceType: "module" },
+            errors: [STATIC_ERROR, STATIC_ERROR, STATIC_ERROR],
+            filename: fixture("a.js"),
+        },
+    ],
+})
@@ -0,0 +1,83 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const RuleTester = require("eslint").RuleTester
+const rule = require("../../../lib/rules/no-unmatched-files")
+
+/**
+ * Makes a file path to a fixture.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function fixture(name) {
+    return path.resolve(__dirname, "../../fixtures/package-json", name)
+}
+
+new RuleTester().run("no-unmatched-files", rule, {
+    valid: [
+        {
+            code:
+                '({"files": ["lib", "/index.js", "lib/", "docs/*.md", "!lib/a.js"]}\n)',
+            filename: fixture("files/package.json"),
+        },
+        {
+            code: '({"files": "missing"}\n)',
+            filename: fixture("files/package.json"),
+        },
+        {
+            code: '({"name": "test"}\n)',
+            filename: fixture("files/package.json"),
+        },
+        {
+            code: '({"files": ["missing"]}\n)',
+            filename: fixture("files/index.json"),
+        },
+        {
+            code: "var a = {files: ['missing']}",
+            filename: fixture("files/package.json"),
+        },
+        {
+            code: '({"files": ["lib"]}\n)',
+            filename: fixture("dangling/package.json"),
+        },
+        {
+            code: '({"files": ["lib", "lib/a.js"]}\n)',
+            filename: fixture("cycle/package.json"),
+        },
+    ],
+    invalid: [
+        {
+            code:
+                '({"files": ["lib", "missing", "docs/*.txt", "!lib/b.js"]}\n)',
+            errors: [
+                {
+                    message:
+                        "'missing' in 'files' of 'package.json' matches no files.",
+                    line: 1,
+                    column: 20,
+                },
+                "'docs/*.txt' in 'files' of 'package.json' matches no files.",
+                "'!lib/b.js' in 'files' of 'package.json' matches no files.",
+            ],
+            filename: fixture("files/package.json"),
+        },
+        {
+            code: '({"files": ["lib/broken.js"]}\n)',
+            errors: [
+                "'lib/broken.js' in 'files' of 'package.json' matches no files.",
+            ],
+            filename: fixture("dangling/package.json"),
+        },
+        {
+            code: '({"files": ["lib/missing.js"]}\n)',
+            errors: [
+                "'lib/missing.js' in 'files' of 'package.json' matches no files.",
+            ],
+            filename: fixture("cycle/package.json"),
+        },
+    ],
+})
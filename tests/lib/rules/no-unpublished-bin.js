@@ -118,6 +118,13 @@ new RuleTester().run("no-unpublished-bin", rule, {
                 node: { convertPath: { "a.js": ["a.js", "lib/a.js"] } },
             },
         },
+
+        // ignorePrivate option
+        {
+            code: "'simple-files/a.js'",
+            options: [{ ignorePrivate: true }],
+            filename: fixture("simple-files/a.js"),
+        },
     ],
     invalid: [
         // files field of `package.json`
@@ -17,6 +17,15 @@ function fixture(name) {
     return path.resolve(__dirname, "../../fixtures/no-unpublished", name)
 }
 
+/**
+ * Makes a file path to a fixture of the `resolver` setting.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function resolverFixture(name) {
+    return path.resolve(__dirname, "../../fixtures/resolver", name)
+}
+
 const ruleTester = new RuleTester({ parserOptions: { sourceType: "module" } })
 ruleTester.run("no-unpublished-import", rule, {
     valid: [
@@ -121,6 +130,43 @@ ruleTester.run("no-unpublished-import", rule, {
             code: "import bbb from 'bbb';",
             filename: fixture("negative-in-files/lib/__test__/index.js"),
         },
+
+        // imports field
+        {
+            code: "import pub from '#pub';",
+            filename: fixture("imports-field/lib/a.js"),
+        },
+        {
+            code: "import helper from '#test/helper';",
+            filename: fixture("imports-field/test/a.js"),
+        },
+
+        // import()
+        {
+            code: "import('./test');",
+            filename: fixture("2/ignore1.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+
+        // bundledDependencies
+        {
+            code: "import aaa from 'aaa';",
+            filename: fixture("bundled/test.js"),
+        },
+
+        // ignorePrivate option
+        {
+            code: "import bbb from 'bbb';",
+            options: [{ ignorePrivate: true }],
+            filename: fixture("3/pub/test.js"),
+        },
+
+        // resolver
+        {
+            code: "import db from '@alias/db'; import fs from 'fs';",
+            filename: resolverFixture("src/test.js"),
+            settings: { node: { resolver: resolverFixture("index.js") } },
+        },
     ],
     invalid: [
         {
@@ -138,6 +184,18 @@ ruleTester.run("no-unpublished-import", rule, {
             errors: ['"bbb" is not published.'],
             filename: fixture("3/pub/test.js"),
         },
+        {
+            code: "import ccc from 'ccc';",
+            errors: ['"ccc" is not published.'],
+            filename: fixture("bundled/test.js"),
+        },
+
+        // bundledDependencies have to be written in dependencies.
+        {
+            code: "import bbb from 'bbb';",
+            errors: ['"bbb" is not published.'],
+            filename: fixture("bundled/test.js"),
+        },
         {
             code: "import ignore1 from './ignore1';",
             errors: ['"./ignore1" is not published.'],
@@ -239,5 +297,34 @@ ruleTester.run("no-unpublished-import", rule, {
             filename: fixture("1/test.js"),
             env: { node: true },
         },
+
+        // imports field
+        {
+            code: "import helper from '#test/helper';",
+            errors: ['"#test/helper" is not published.'],
+            filename: fixture("imports-field/lib/a.js"),
+        },
+
+        // import()
+        {
+            code: "async function f() { await import('./ignore1'); }",
+            errors: ['"./ignore1" is not published.'],
+            filename: fixture("2/test.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+        {
+            code: "import('bbb');",
+            errors: ['"bbb" is not published.'],
+            filename: fixture("1/test.js"),
+            parser: require.resolve("babel-eslint"),
+        },
+
+        // resolver
+        {
+            code: "import helper from '@test/helper';",
+            errors: ['"@test/helper" is not published.'],
+            filename: resolverFixture("src/test.js"),
+            settings: { node: { resolver: resolverFixture("index.js") } },
+        },
     ],
 })
@@ -17,6 +17,15 @@ function fixture(name) {
     return path.resolve(__dirname, "../../fixtures/no-unpublished", name)
 }
 
+/**
+ * Makes a file path to a fixture of the `resolver` setting.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function resolverFixture(name) {
+    return path.resolve(__dirname, "../../fixtures/resolver", name)
+}
+
 const ruleTester = new RuleTester()
 ruleTester.run("no-unpublished-require", rule, {
     valid: [
@@ -244,6 +253,42 @@ ruleTester.run("no-unpublished-require", rule, {
             filename: fixture("negative-in-files/lib/__test__/index.js"),
             env: { node: true },
         },
+
+        // imports field
+        {
+            code: "require('#pub');",
+            filename: fixture("imports-field/lib/a.js"),
+            env: { node: true },
+        },
+
+        // bundledDependencies
+        {
+            code: "require('aaa');",
+            filename: fixture("bundled/test.js"),
+            env: { node: true },
+        },
+
+        // ignorePrivate option
+        {
+            code: "require('bbb');",
+            options: [{ ignorePrivate: true }],
+            filename: fixture("3/pub/test.js"),
+            env: { node: true },
+        },
+        {
+            code: "require('bbb');",
+            filename: fixture("3/pub/test.js"),
+            env: { node: true },
+            settings: { node: { ignorePrivate: true } },
+        },
+
+        // resolver
+        {
+            code: "require('@alias/db'); require('fs');",
+            options: [{ resolver: resolverFixture("index.js") }],
+            filename: resolverFixture("src/test.js"),
+            env: { node: true },
+        },
     ],
     invalid: [
         {
@@ -264,6 +309,28 @@ ruleTester.run("no-unpublished-require", rule, {
             filename: fixture("3/pub/test.js"),
             env: { node: true },
         },
+        {
+            code: "require('ccc');",
+            errors: ['"ccc" is not published.'],
+            filename: fixture("bundled/test.js"),
+            env: { node: true },
+        },
+
+        // bundledDependencies have to be written in dependencies.
+        {
+            code: "require('bbb');",
+            errors: ['"bbb" is not published.'],
+            filename: fixture("bundled/test.js"),
+            env: { node: true },
+        },
+        {
+            code: "require('bbb');",
+            options: [{ ignorePrivate: false }],
+            errors: ['"bbb" is not published.'],
+            filename: fixture("3/pub/test.js"),
+            env: { node: true },
+            settings: { node: { ignorePrivate: true } },
+        },
         {
             code: "require('./ignore1');",
             errors: ['"./ignore1" is not published.'],
@@ -371,5 +438,47 @@ ruleTester.run("no-unpublished-require", rule, {
             filename: fixture("1/test.js"),
             env: { node: true },
         },
+
+        // imports field
+        {
+            code: "require('#test/helper');",
+            errors: ['"#test/helper" is not published.'],
+            filename: fixture("imports-field/lib/a.js"),
+            env: { node: true },
+        },
+
+        // static evaluation
+        {
+            code:
+                "const path = require('path'); require(path.join(__dirname, 'ignore1.js'));",
+            parserOptions: { ecmaVersion: 2015 },
+            errors: ['"./ignore1.js" is not published.'],
+            filename: fixture("2/test.js"),
+            env: { node: true },
+        },
+
+        // require.resolve() and module.createRequire()
+        {
+            code: "require.resolve('./ignore1.js');",
+            errors: ['"./ignore1.js" is not published.'],
+            filename: fixture("2/test.js"),
+            env: { node: true },
+        },
+        {
+            code:
+                "var req = require('module').createRequire(__filename); req('./ignore1.js');",
+            errors: ['"./ignore1.js" is not published.'],
+            filename: fixture("2/test.js"),
+            env: { node: true },
+        },
+
+        // resolver
+        {
+            code: "require('@test/helper');",
+            options: [{ resolver: resolverFixture("index.js") }],
+            errors: ['"@test/helper" is not published.'],
+            filename: resolverFixture("src/test.js"),
+            env: { node: true },
+        },
     ],
 })
@@ -0,0 +1,229 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const assert = require("assert")
+const path = require("path")
+const RuleTester = require("eslint").RuleTester
+const getSuggestionOutputs = require("../../helpers/get-suggestion-outputs")
+const rule = require("../../../lib/rules/no-unsupported-cjs-named-import")
+
+/**
+ * Makes a file path to a fixture.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function fixture(name) {
+    return path.resolve(
+        __dirname,
+        "../../fixtures/no-unsupported-cjs-named-import",
+        name
+    )
+}
+
+/**
+ * Makes the error message of a given name.
+ * @param {string} name - The imported name.
+ * @param {string} source - The module name.
+ * @returns {string} The error message.
+ */
+function error(name, source) {
+    return `"${name}" is not detected as a named export of CommonJS module "${source}". Use a default import and destructuring instead.`
+}
+
+const ruleTester = new RuleTester({
+    parserOptions: { ecmaVersion: 2015, sourceType: "module" },
+})
+ruleTester.run("no-unsupported-cjs-named-import", rule, {
+    valid: [
+        {
+            code: "import { a, b, c, d, e } from './assign';",
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import { a, b, c } from './object';",
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import { a, b, c, d } from './reexport';",
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import { a, b, c, f } from './reexport-star';",
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import { a, b } from './cycle-a';",
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import { a, b } from './cycle-b';",
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import { a } from './module.cjs';",
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import cjsPkg, { version } from 'cjs-pkg';",
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import { default as cjsPkg } from 'cjs-pkg';",
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import * as cjsPkg from 'cjs-pkg';",
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "export { a, b } from './assign';",
+            filename: fixture("test.mjs"),
+        },
+
+        // ES modules are not checked.
+        {
+            code: "import { x } from './module.mjs';",
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import { x } from './esm-dir/a.js';",
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import { x } from 'esm-pkg';",
+            filename: fixture("test.mjs"),
+        },
+
+        // The files which are not ES modules of Node.js are not checked.
+        {
+            code: "import { helper } from 'cjs-pkg';",
+            filename: fixture("test.js"),
+        },
+        {
+            code: "import { helper } from 'cjs-pkg';",
+            filename: fixture("test.cjs"),
+        },
+
+        // Missing modules and core modules are not checked.
+        {
+            code: "import { x } from './no-exist';",
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import { readFile } from 'fs';",
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import { helper } from 'cjs-pkg';",
+            filename: "<input>",
+        },
+    ],
+    invalid: [
+        {
+            code: "import { helper } from 'cjs-pkg';",
+            errors: [error("helper", "cjs-pkg")],
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import cjsPkg, { helper, version } from 'cjs-pkg';",
+            errors: [error("helper", "cjs-pkg")],
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import { d } from './object';",
+            errors: [error("d", "./object")],
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import { a, b as c } from './dynamic';",
+            errors: [error("a", "./dynamic"), error("b", "./dynamic")],
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import { x } from './module.cjs';",
+            errors: [error("x", "./module.cjs")],
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import { x } from './reexport';",
+            errors: [error("x", "./reexport")],
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import { c } from './cycle-b';",
+            errors: [error("c", "./cycle-b")],
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "export { helper } from 'cjs-pkg';",
+            errors: [error("helper", "cjs-pkg")],
+            filename: fixture("test.mjs"),
+        },
+        {
+            code: "import { d } from '../object';",
+            errors: [error("d", "../object")],
+            filename: fixture("esm-dir/test.js"),
+        },
+    ],
+})
+
+describe("no-unsupported-cjs-named-import suggestions", () => {
+    /**
+     * Gets the outputs of the suggestions for a given code.
+     * @param {string} code - The code to lint.
+     * @returns {Array<string[]>} The outputs of the suggestions of each report.
+     */
+    function getOutputs(code) {
+        return getSuggestionOutputs(rule, {
+            code,
+            filename: fixture("test.mjs"),
+            parserOptions: { ecmaVersion: 2015, sourceType: "module" },
+        }).map(suggestions => suggestions.map(s => s.output))
+    }
+
+    it("should rewrite named imports to a default import and destructuring", () => {
+        assert.deepStrictEqual(
+            getOutputs("import { helper, x as y } from 'cjs-pkg';"),
+            [
+                [
+                    "import cjsPkg from 'cjs-pkg';\nconst { helper, x: y } = cjsPkg;",
+                ],
+                [
+                    "import cjsPkg from 'cjs-pkg';\nconst { helper, x: y } = cjsPkg;",
+                ],
+            ]
+        )
+    })
+
+    it("should keep the detected names and the default import", () => {
+        assert.deepStrictEqual(
+            getOutputs("import pkg, { helper, version } from 'cjs-pkg';"),
+            [
+                [
+                    "import pkg, { version } from 'cjs-pkg';\nconst { helper } = pkg;",
+                ],
+            ]
+        )
+    })
+
+    it("should avoid the names which are used", () => {
+        assert.deepStrictEqual(
+            getOutputs("import { d } from './object';\nconst object = 1;"),
+            [
+                [
+                    "import object2 from './object';\nconst { d } = object2;\nconst object = 1;",
+                ],
+            ]
+        )
+    })
+
+    it("should not suggest for export declarations", () => {
+        assert.deepStrictEqual(
+            getOutputs("export { helper } from 'cjs-pkg';"),
+            [[]]
+        )
+    })
+})
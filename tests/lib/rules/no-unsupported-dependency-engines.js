@@ -0,0 +1,105 @@
+/**
+ * @author Toru Nagashima
+ * See LICENSE file in root directory for full license.
+ */
+"use strict"
+
+const path = require("path")
+const RuleTester = require("eslint").RuleTester
+const rule = require("../../../lib/rules/no-unsupported-dependency-engines")
+
+/**
+ * Makes a file path to a fixture.
+ * @param {string} name - A name.
+ * @returns {string} A file path to a fixture.
+ */
+function fixture(name) {
+    return path.resolve(
+        __dirname,
+        "../../fixtures/no-unsupported-dependency-engines",
+        name
+    )
+}
+
+const ruleTester = new RuleTester({
+    parserOptions: { ecmaVersion: 2015, sourceType: "module" },
+    env: { node: true },
+})
+ruleTester.run("no-unsupported-dependency-engines", rule, {
+    valid: [
+        {
+            code:
+                "import a from 'old-pkg'; import b from 'no-engines-pkg'; import c from 'invalid-pkg';",
+            filename: fixture("a.js"),
+        },
+        {
+            code:
+                "import fs from 'fs'; import a from './a'; import x from 'missing';",
+            filename: fixture("a.js"),
+        },
+        {
+            code: "import a from 'new-pkg'; import b from 'gap-pkg';",
+            options: [{ version: ">=18.0.0" }],
+            filename: fixture("a.js"),
+        },
+        {
+            code: "import a from 'new-pkg';",
+            filename: fixture("a.js"),
+            settings: { node: { version: "20.x" } },
+        },
+        {
+            code: "import a from 'new-pkg';",
+            options: [{ version: "18" }],
+            filename: fixture("a.js"),
+        },
+        {
+            code: "import a from 'new-pkg';",
+            options: [{ allowModules: ["new-pkg"] }],
+            filename: fixture("a.js"),
+        },
+        {
+            code: "import a from 'new-pkg';",
+            filename: "<input>",
+        },
+    ],
+    invalid: [
+        {
+            code: "import a from 'new-pkg'; require('new-pkg/sub');",
+            errors: [
+                '"new-pkg" doesn\'t support Node.js ">=12.0.0 <18.0.0". It requires ">=18.0.0", but the supported versions are ">=12.0.0".',
+                '"new-pkg" doesn\'t support Node.js ">=12.0.0 <18.0.0". It requires ">=18.0.0", but the supported versions are ">=12.0.0".',
+            ],
+            filename: fixture("a.js"),
+        },
+        {
+            code: "import a from '@scope/new-pkg';",
+            errors: [
+                '"@scope/new-pkg" doesn\'t support Node.js ">=12.0.0 <18.0.0". It requires ">=18", but the supported versions are ">=12.0.0".',
+            ],
+            filename: fixture("a.js"),
+        },
+        {
+            code: "import a from 'gap-pkg';",
+            errors: [
+                '"gap-pkg" doesn\'t support Node.js ">=13.0.0 <14.0.0". It requires "^12.0.0 || >=14.0.0", but the supported versions are ">=12.0.0".',
+            ],
+            filename: fixture("a.js"),
+        },
+        {
+            code: "import a from 'old-pkg';",
+            options: [{ version: "6.0.0" }],
+            errors: [
+                '"old-pkg" doesn\'t support Node.js ">=6.0.0 <8.0.0". It requires ">=8.0.0", but the supported versions are ">=6.0.0".',
+            ],
+            filename: fixture("a.js"),
+        },
+        {
+            code: "import a from 'old-pkg';",
+            options: [{ version: ">=6.0.0" }],
+            errors: [
+                '"old-pkg" doesn\'t support Node.js ">=6.0.0 <8.0.0". It requires ">=8.0.0", but the supported versions are ">=6.0.0".',
+            ],
+            filename: fixture("a.js"),
+        },
+    ],
+})
@@ -1321,6 +1321,12 @@ ruleTester.run(
                 code: "'\\\\u{0123}'",
                 env: { es6: true },
             },
+            {
+                filename: fixture("nothing/a.js"),
+                code: "var a = async () => 1",
+                parserOptions: { ecmaVersion: 2017 },
+                settings: { node: { version: ">=7.6.0" } },
+            },
             {
                 filename: fixture("gte-4.0.0/a.js"),
                 code: "var a = async () => 1",
@@ -1352,13 +1358,124 @@ ruleTester.run(
                 parserOptions: { ecmaVersion: 2017 },
                 options: ["7.10.0"],
             },
+            {
+                code: "require('fs')",
+                env: { node: true },
+                options: ["4.0.0"],
+            },
+            {
+                code: "require('node:fs')",
+                env: { node: true },
+                options: [{ version: "4.0.0", ignores: ["nodeScheme"] }],
+            },
+            {
+                code: "import fs from 'node:fs'",
+                parserOptions: { sourceType: "module" },
+                options: [{ version: "14.13.1", ignores: ["modules"] }],
+            },
+            {
+                code: "import('node:fs')",
+                parser: require.resolve("babel-eslint"),
+                options: ["14.13.1"],
+            },
+            {
+                code: "require('node:fs')",
+                env: { node: true },
+                options: ["16.0.0"],
+            },
+            {
+                code: "import('fs')",
+                parser: require.resolve("babel-eslint"),
+                options: ["12.19.0"],
+            },
             {
                 filename: fixture("without-node/a.js"),
                 code: "var a = () => 1",
                 env: { es6: true },
             },
+
+            // ES modules are always strict mode.
+            {
+                filename: fixture("type-module/a.js"),
+                code: "let a = 0",
+                env: { es6: true },
+            },
+            {
+                filename: fixture("gte-4.0.0/a.mjs"),
+                code: "let a = 0",
+                env: { es6: true },
+            },
+            {
+                filename: fixture("type-module/a.js"),
+                code: "let a = 0",
+                env: { es6: true },
+                parserOptions: { ecmaFeatures: { globalReturn: true } },
+            },
+
+            // CommonJS modules are strict mode only with directives.
+            {
+                filename: fixture("type-module/a.cjs"),
+                code: "'use strict'; let a = 0",
+                env: { es6: true },
+                parserOptions: { sourceType: "module" },
+            },
+            {
+                filename: fixture("type-commonjs/a.js"),
+                code: "function f() { 'use strict'; let a = 0 }",
+                env: { es6: true },
+                parserOptions: { sourceType: "module" },
+            },
+            {
+                filename: fixture("type-commonjs/a.js"),
+                code: "'use strict'; let a = 0",
+                env: { es6: true },
+                parserOptions: { ecmaFeatures: { globalReturn: true } },
+            },
         ],
         invalid: [
+            {
+                filename: fixture("type-commonjs/a.js"),
+                code: "let a = 0",
+                env: { es6: true },
+                errors: [
+                    "'let' declarations in non-strict mode are not supported yet on Node >=4.0.0.",
+                ],
+            },
+            {
+                filename: fixture("type-module/a.cjs"),
+                code: "let a = 0",
+                env: { es6: true },
+                errors: [
+                    "'let' declarations in non-strict mode are not supported yet on Node >=4.0.0.",
+                ],
+            },
+            {
+                filename: fixture("type-module/a.cjs"),
+                code: "let a = 0",
+                env: { es6: true },
+                parserOptions: { sourceType: "module" },
+                errors: [
+                    "'let' declarations in non-strict mode are not supported yet on Node >=4.0.0.",
+                ],
+            },
+            {
+                filename: fixture("type-commonjs/a.js"),
+                code: "function f() { let a = 0 }",
+                env: { es6: true },
+                parserOptions: { sourceType: "module" },
+                errors: [
+                    "'let' declarations in non-strict mode are not supported yet on Node >=4.0.0.",
+                ],
+            },
+            {
+                filename: fixture("type-commonjs/a.js"),
+                code: "function f() { 'use strict' } { let a = 0 }",
+                env: { es6: true },
+                parserOptions: { ecmaFeatures: { globalReturn: true } },
+                errors: [
+                    "'let' declarations in non-strict mode are not supported yet on Node >=4.0.0.",
+                ],
+            },
             {
                 filename: fixture("gte-0.12.8/a.js"),
                 code: "var a = () => 1",
@@ -1373,7 +1490,7 @@ ruleTester.run(
                 parserOptions: { ecmaVersion: 2017 },
                 env: { es6: true },
                 errors: [
-                    "Trailing commas in functions are not supported yet on Node 4.0.0.",
+                    "Trailing commas in functions are not supported yet on Node >=4.0.0.",
                 ],
             },
             {
@@ -1391,7 +1508,7 @@ ruleTester.run(
                 parserOptions: { ecmaVersion: 2017 },
                 env: { es6: true },
                 errors: [
-                    "Trailing commas in functions are not supported yet on Node 4.0.0.",
+                    "Trailing commas in functions are not supported yet on Node >=4.0.0.",
                 ],
             },
             {
@@ -1402,6 +1519,15 @@ ruleTester.run(
                     "Async functions are not supported yet on Node >=7.5.0.",
                 ],
             },
+            {
+                filename: fixture("nothing/a.js"),
+                code: "var a = async () => 1",
+                parserOptions: { ecmaVersion: 2017 },
+                settings: { node: { version: "6.0.0" } },
+                errors: [
+                    "Async functions are not supported yet on Node >=6.0.0.",
+                ],
+            },
             {
                 code: "var a = async () => 1",
                 parserOptions: { ecmaVersion: 2017 },
@@ -1410,6 +1536,79 @@ ruleTester.run(
                     "Async functions are not supported yet on Node 7.1.0.",
                 ],
             },
+            {
+                code: "require('node:fs')",
+                env: { node: true },
+                options: ["14.17.0"],
+                errors: [
+                    "'node:' URL scheme in 'require()' is not supported yet on Node 14.17.0.",
+                ],
+            },
+            {
+                code: "export * from 'node:fs'",
+                parserOptions: { sourceType: "module" },
+                options: [{ version: "12.19.0", ignores: ["modules"] }],
+                errors: [
+                    "'node:' URL scheme in import declarations is not supported yet on Node 12.19.0.",
+                ],
+            },
+            // `>=12.20.0` includes 13.x, and `>=14.18.0` includes 15.x.
+            {
+                code: "import fs from 'node:fs'",
+                parserOptions: { sourceType: "module" },
+                options: [{ version: "12.20.0", ignores: ["modules"] }],
+                errors: [
+                    "'node:' URL scheme in import declarations is not supported yet on Node 12.20.0.",
+                ],
+            },
+            {
+                code: "import('node:fs')",
+                parser: require.resolve("babel-eslint"),
+                options: ["12.20.0"],
+                errors: [
+                    "'node:' URL scheme in import declarations is not supported yet on Node 12.20.0.",
+                ],
+            },
+            {
+                code: "require('node:fs')",
+                env: { node: true },
+                options: ["14.18.0"],
+                errors: [
+                    "'node:' URL scheme in 'require()' is not supported yet on Node 14.18.0.",
+                ],
+            },
+            {
+                code: "import fs from 'node:fs'",
+                parserOptions: { sourceType: "module" },
+                options: [{ version: "13.14.0", ignores: ["modules"] }],
+                errors: [
+                    "'node:' URL scheme in import declarations is not supported yet on Node 13.14.0.",
+                ],
+            },
+            {
+                code: "import fs from 'node:fs'",
+                parserOptions: { sourceType: "module" },
+                options: [{ version: "14.13.0", ignores: ["modules"] }],
+                errors: [
+                    "'node:' URL scheme in import declarations is not supported yet on Node 14.13.0.",
+                ],
+            },
+            {
+                code: "require('node:fs')",
+                env: { node: true },
+                options: ["15.14.0"],
+                errors: [
+                    "'node:' URL scheme in 'require()' is not supported yet on Node 15.14.0.",
+                ],
+            },
+            {
+                code: "async function f() { await import('node:fs') }",
+                parser: require.resolve("babel-eslint"),
+                options: ["12.19.0"],
+                errors: [
+                    "'node:' URL scheme in import declarations is not supported yet on Node 12.19.0.",
+                ],
+            },
         ],
     })
 )